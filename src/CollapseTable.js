@@ -37,7 +37,7 @@
  * - Columns collapse based on priorities and width hints; details render as "Label: Value".
  * - Production-grade: resize fallbacks, hidden-container deferral, multi-TBODY support,
  *   accessibility improvements, attribute-aware updates, stable row IDs, setAll/unsetAll,
- *   per-row controls, detailsRender hook, dynamic TBODY tracking, and more.
+ *   per-row controls, detailsRender hook, dynamic TBODY tracking, colspan/rowspan grids, and more.
  */
 
 (function (root, factory) {
@@ -47,6 +47,11 @@
         module.exports = factory();
     } else {
         root.CollapseTable = factory();
+        // Script tag: <collapse-table> works without an init script, and so do
+        // data-collapsetable tables with <script ... data-collapsetable-auto>
+        if (root.customElements) root.CollapseTable.defineElement();
+        const script = root.document && root.document.currentScript;
+        if (script && script.hasAttribute("data-collapsetable-auto")) new root.CollapseTable().autoInit();
     }
 })(typeof self !== "undefined" ? self : this, function () {
     "use strict";
@@ -55,14 +60,71 @@
      * Public JSDoc typedefs (for rich IDE hints)
      * ======================================================================= */
 
+    /**
+     * Column metadata handed to fit strategies.
+     * @typedef {{index:number,min:number,priority:number,lock:boolean}} CollapseTableFitColumn
+     */
+
+    /**
+     * Fit strategy: decide which columns to hide for the available width.
+     * Locked columns and the control column (index 0) are never hidden, whatever is returned.
+     * @typedef {(columns:CollapseTableFitColumn[], available:number) => (Set<number>|number[])} CollapseTableFitStrategy
+     */
+
+    /**
+     * Row comparator for sorting: compares two sort values (`data-sort-value` or cell text).
+     * Rows with an empty value always sort last; ties keep their current order.
+     * @typedef {(a:string, b:string, cellA:HTMLTableCellElement, cellB:HTMLTableCellElement) => number} CollapseTableSorter
+     */
+
+    /**
+     * Row filter: a case-insensitive text query, or a predicate over a data row and its logical cells.
+     * @typedef {string|((row:HTMLTableRowElement, cells:HTMLTableCellElement[]) => boolean)} CollapseTableFilter
+     */
+
     /**
      * Available runtime modes.
      * @typedef {'development'|'production'} CollapseTableMode
      */
 
+    /**
+     * Responsive layout currently applied to a table.
+     * @typedef {'collapse'|'stack'} CollapseTableLayout
+     */
+
     /**
      * Event names emitted by the instance.
-     * @typedef {'expand'|'collapse'|'toggle'|'refit'|'destroy'} CollapseTableEvent
+     * `beforeexpand` / `beforecollapse` are cancelable: a handler returning `false`, or `preventDefault()` on the DOM event, keeps the row as it is.
+     * @typedef {'beforeexpand'|'expand'|'beforecollapse'|'collapse'|'toggle'|'refit'|'layoutchange'|'columnchange'|'sort'|'filter'|'cellchange'|'destroy'} CollapseTableEvent
+     */
+
+    /**
+     * A message: a template with `{name}` placeholders, plural forms keyed by `Intl.PluralRules`
+     * category (`{ one: '{count} column', other: '{count} columns' }`), or a function of the parameters.
+     * @typedef {string|Record<string, string>|((params:Record<string, any>) => string)} CollapseTableMessage
+     */
+
+    /**
+     * A Trusted Types `TrustedHTML` value (declared structurally: the standard DOM typings don't have it).
+     * @typedef {{toString(): string}} CollapseTableTrustedHTML
+     */
+
+    /**
+     * Visible and screen-reader strings.
+     * @typedef {Object} CollapseTableStrings
+     * @property {string} [toggleTitle='Show more'] Toggle button title and label.
+     * @property {string} [show='Show details'] Hidden text of a toggle after collapsing.
+     * @property {string} [hide='Hide details'] Hidden text of a toggle after expanding.
+     * @property {CollapseTableMessage} [hiddenCount='{count} hidden'] Hidden-column count added to the toggle label (`{count}`).
+     * @property {CollapseTableMessage} [detailsFor='Details for {label}'] Details panel label (`{label}`: first visible cell text of the row).
+     * @property {string} [rowDetails='Row details'] Details panel label for rows without visible text.
+     * @property {string} [labelSeparator=': '] Between label and value in details and stacked cells.
+     * @property {string} [labelJoin=' / '] Joins the labels of a cell spanning several columns.
+     * @property {string} [groupSeparator=' › '] Joins group header and column labels in details.
+     * @property {string} [columns='Columns'] Column chooser label.
+     * @property {string} [sortBy='Sort by'] Details sort button label prefix.
+     * @property {string} [sortAscending='ascending']
+     * @property {string} [sortDescending='descending']
      */
 
     /**
@@ -72,12 +134,97 @@
      * @property {number} [minWidthDefault=140] Fallback min column width (px) when measurement is unavailable.
      * @property {'auto'|'fixed'} [tableLayout='auto'] CSS table-layout strategy; applied inline if unset.
      * @property {boolean} [deferWhenHidden=true] Use viewport width until the table/container becomes visible.
-     * @property {{priority:string, min:string, label:string}} [attrs] Attribute names used on <th>.
-     * @property {{root:string,control:string,toggle:string,details:string,detailsInner:string,detail:string,name:string,value:string,hide:string}} [classNames]
-     * @property {{expand:string, collapse:string}} [icons] Toggle icons.
-     * @property {{toggleTitle:string, show:string, hide:string}} [strings] Accessible labels/strings.
+     * @property {'header'|'content'} [measure='header'] Min widths from header cells only, or also from body content (max-content).
+     * @property {number} [measureSample=50] Body rows sampled per measurement (`measure: 'content'`).
+     * @property {number} [measurePercentile=100] Percentile of sampled cell widths used as content width (100 = widest).
+     * @property {string|Element|null} [sizeSource=null] Element (or selector, matched against ancestors first) whose width bounds the table; defaults to the parent.
+     * @property {number} [refitBatch=500] Rows updated per frame on refit; rows near the viewport go first, the rest follow in later frames.
+     * @property {boolean} [virtualize=false] Render only rows near the viewport in large TBODYs (see `virtualThreshold`).
+     * @property {number} [virtualThreshold=1000] Data rows a TBODY needs before it is virtualized.
+     * @property {number} [virtualOverscan=10] Extra rows rendered above and below the visible ones when virtualized.
+     * @property {'class'|'stylesheet'} [hideMode='class'] Hide body columns by toggling a class on each cell, or with a scoped stylesheet of `nth-child` rules (rows re-rendered by a framework stay correct; rows with spanning cells still use the class).
+     * @property {boolean|'table'|'tbody'} [accordion=false] Keep one row expanded at a time, per table or per TBODY (`true` = 'table').
+     * @property {boolean} [columnMenu=false] Show a column chooser button in the control header cell.
+     * @property {'greedy'|'priority'|'count'|CollapseTableFitStrategy} [fitStrategy='greedy'] How columns are chosen for hiding.
+     * @property {boolean} [keyboard=false] Keyboard grid mode (WAI-ARIA treegrid): the table is one tab stop, arrow keys move between rows and expand/collapse them.
+     * @property {boolean} [sortable=false] Sort rows on header click (`data-sort` picks the sorter, `data-sort="none"` opts a column out).
+     * @property {Record<string, CollapseTableSorter>} [sorters] Custom sorters, referenced by name from `data-sort`.
+     * @property {number} [stackBelow=0] Below this available width (px), rows render as stacked "Label: Value" cards (0 = never).
+     * @property {{priority:string, min:string, label:string, hideBelow:string, hideAbove:string, sort:string, sortValue:string}} [attrs] Attribute names used on <th> (`sortValue` on <td>).
+     * @property {Record<string, number>} [breakpoints] Named breakpoints (px) usable in `data-hide-below` / `data-hide-above`.
+     * @property {'combine'|'replace'} [breakpointMode='combine'] Breakpoint rules add to the width fit, or replace it.
+     * @property {'viewport'|'container'} [breakpointWidth='viewport'] Width compared against breakpoints.
+     * @property {{root:string,control:string,toggle:string,details:string,detailsInner:string,detail:string,name:string,value:string,hide:string,stacked:string,columnMenu:string,columnMenuToggle:string,sortable:string,sortButton:string,filtered:string,mark:string,spacer:string,spanned:string}} [classNames]
+     * @property {{expand:string, collapse:string, columns:string, sort:string, sortAsc:string, sortDesc:string}} [icons] Toggle, column chooser and sort icons.
+     * @property {CollapseTableStrings} [strings] Visible and screen-reader strings (defaults: the `locale` pack).
+     * @property {string} [locale='en'] Language of the strings: brings in a built-in pack (`CollapseTable.locales`) and picks plural forms.
      * @property {CollapseTableMode} [mode='production'] Runtime mode. Affects developer warnings (dev only).
-     * @property {(row:HTMLTableRowElement, hiddenColumns:Array<{index:number,th:HTMLTableCellElement,priority:number,min:number,lock:boolean}>, cells:HTMLTableCellElement[]) => (Node|string|void)} [detailsRender]
+     * @property {{storage:('local'|'session'|'memory'|CollapseTableStorage|null), prefix:string, id:string}} [persist] Expanded-row persistence (off while `storage` is null).
+     * @property {(row:HTMLTableRowElement, hiddenColumns:Array<{index:number,th:HTMLTableCellElement,groups:HTMLTableCellElement[],priority:number,min:number,lock:boolean}>, cells:HTMLTableCellElement[]) => (Node|string|void)} [detailsRender]
+     * @property {'copy'|'clone'|'move'} [detailsContent='copy'] How the default renderer fills details values: copy cell HTML, clone cell nodes (ids made unique), or move the live nodes in and back (listeners and state kept).
+     * @property {boolean} [editable=false] Form controls in collapsed cells are edited from the details panel (bound like `liveDetails`; the cell's controls stay the ones a form submits), and committed edits fire `cellchange`.
+     * @property {boolean} [liveDetails=false] Keep open details panels in sync with their cells: edits to listed cells update the panel, and form controls in the panel stay bound to the cell's controls.
+     * @property {(html:string) => (string|CollapseTableTrustedHTML)} [sanitizeHtml] Sanitizer for HTML strings put into details (`detailsRender` strings, copied cell HTML) and for `html` in `renderMarkup`.
+     * @property {boolean|string} [trustedTypes=false] Write HTML through a Trusted Types policy (`true` = "collapsetable", or a policy name).
+     * @property {(container:HTMLElement, row:HTMLTableRowElement, hiddenColumns:Array<{index:number,th:HTMLTableCellElement,groups:HTMLTableCellElement[],priority:number,min:number,lock:boolean}>, cells:HTMLTableCellElement[]) => (void|(() => void))} [detailsMount] Mount framework content (portal, slot) into a details panel instead of rendering it. The returned cleanup must remove what was mounted; it runs before the panel is rendered again, on collapse, and when the details row goes away.
+     */
+
+    /**
+     * Storage adapter for persisted table state (Web Storage compatible).
+     * @typedef {Object} CollapseTableStorage
+     * @property {(key:string) => (string|null)} getItem
+     * @property {(key:string, value:string) => void} setItem
+     * @property {(key:string) => void} removeItem
+     */
+
+    /**
+     * Serializable per-table state.
+     * @typedef {Object} CollapseTableState
+     * @property {string[]} expanded Row keys of expanded rows.
+     * @property {Record<number, 'show'|'hide'>} columns User column overrides by column index.
+     */
+
+    /**
+     * Column visibility as reported by `getColumnState()`.
+     * @typedef {Object} CollapseTableColumnState
+     * @property {number} index Logical column index (the control column is 0).
+     * @property {string} label Details label of the column.
+     * @property {number} priority Effective priority.
+     * @property {boolean} hidden Hidden by the last refit.
+     * @property {'show'|'hide'|null} override User override, null when fitted automatically.
+     */
+
+    /**
+     * Column of a table description for `CollapseTable.renderMarkup()`.
+     * @typedef {Object} CollapseTableMarkupColumn
+     * @property {string} [label] Header text (escaped); also the details label.
+     * @property {string} [html] Header HTML (trusted) instead of `label`.
+     * @property {number} [priority] Rendered as `data-priority`.
+     * @property {number} [min] Min width (px), rendered as `data-min`; `minWidthDefault` otherwise.
+     * @property {string} [hideBelow] Breakpoint name or px, rendered as `data-hide-below`.
+     * @property {string} [hideAbove] Breakpoint name or px, rendered as `data-hide-above`.
+     * @property {string} [sort] Sorter name, rendered as `data-sort`.
+     * @property {Record<string, string|number|boolean>} [attrs] Extra attributes for the `<th>`.
+     */
+
+    /**
+     * Body cell of a table description: plain text, or an object.
+     * @typedef {string|number|{text?:string, html?:string, sortValue?:string, colspan?:number, rowspan?:number, attrs?:Record<string, string|number|boolean>}} CollapseTableMarkupCell
+     */
+
+    /**
+     * Body row of a table description: its cells, or an object.
+     * @typedef {CollapseTableMarkupCell[]|{cells:CollapseTableMarkupCell[], key?:string, expanded?:boolean, attrs?:Record<string, string|number|boolean>}} CollapseTableMarkupRow
+     */
+
+    /**
+     * Table description for `CollapseTable.renderMarkup()`.
+     * @typedef {Object} CollapseTableMarkup
+     * @property {string} [id] Table id (needed for the details rows' ids and `aria-controls`).
+     * @property {Record<string, string|number|boolean>} [attrs] Extra attributes for the `<table>`.
+     * @property {CollapseTableMarkupColumn[]} columns Data columns (the control column is added).
+     * @property {CollapseTableMarkupRow[]} rows Body rows.
+     * @property {number|string} [width] Expected width (px or breakpoint name) to fit columns for; nothing is hidden without it.
      */
 
     /** ========================================================================
@@ -177,6 +324,19 @@
       .ctbl-vh { position: absolute; width: 1px; height: 1px; padding: 0; margin: -1px; overflow: hidden; clip: rect(0,0,0,0); white-space: nowrap; border: 0; }
       .ctbl-details-row[hidden] { display: none; }
       .ctbl-control .ctbl-toggle { cursor: pointer; }
+      th.ctbl-control { position: relative; }
+      .ctbl-colmenu { position: absolute; top: 100%; inset-inline-start: 0; z-index: 10; min-width: 12rem; padding: .5rem; background: Canvas; color: CanvasText; border: 1px solid; text-align: start; font-weight: normal; }
+      .ctbl-colmenu[hidden] { display: none; }
+      .ctbl-colmenu label { display: block; white-space: nowrap; }
+      tr.ctbl-filtered, .ctbl-stacked > tbody > tr.ctbl-filtered { display: none; }
+      .ctbl-spacer > td { padding: 0; border: 0; }
+      .ctbl-sortable { cursor: pointer; }
+      .ctbl-sortable[aria-sort="ascending"]::after { content: " \\25B2"; font-size: .75em; }
+      .ctbl-sortable[aria-sort="descending"]::after { content: " \\25BC"; font-size: .75em; }
+      .ctbl-stacked, .ctbl-stacked > tbody, .ctbl-stacked > tbody > tr, .ctbl-stacked > tbody > tr > td, .ctbl-stacked > tbody > tr > th { display: block; }
+      .ctbl-stacked > thead { position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0,0,0,0); }
+      .ctbl-stacked > tbody > tr.ctbl-details-row, .ctbl-stacked > tbody > tr > .ctbl-control { display: none; }
+      .ctbl-stacked > tbody > tr > [data-ctbl-label]::before { content: attr(data-ctbl-label) var(--ctbl-label-separator, ": "); font-weight: 600; }
     `;
         const style = document.createElement("style");
         style.id = "ctbl-core-styles";
@@ -185,15 +345,25 @@
         document.head.appendChild(style);
     }
 
-    /** Deep(ish) merge: merges plain objects recursively */
+    /**
+     * Objects merged key by key. Arrays, DOM nodes and storage adapters (`persist.storage`) are
+     * taken as-is; checked by shape, so objects from another realm (iframe, test window) still merge.
+     */
+    function isMergeable(v) {
+        if (!v || typeof v !== "object" || Array.isArray(v)) return false;
+        if (typeof v.nodeType === "number" && typeof v.nodeName === "string") return false;
+        return !isStorageAdapter(v);
+    }
+
+    /** Deep(ish) merge: merges plain objects recursively (other values are taken as-is) */
     function merge(base, extra) {
         const out = Object.assign({}, base);
         if (!extra) return out;
         for (const k in extra) {
             if (!Object.prototype.hasOwnProperty.call(extra, k)) continue;
             const v = extra[k];
-            if (v && typeof v === "object" && !Array.isArray(v)) {
-                out[k] = merge(base[k] || {}, v);
+            if (isMergeable(v)) {
+                out[k] = merge(isMergeable(base[k]) ? base[k] : {}, v);
             } else {
                 out[k] = v;
             }
@@ -201,6 +371,76 @@
         return out;
     }
 
+    /** Layout viewport width excluding the vertical scrollbar (window.innerWidth includes it) */
+    function viewportWidth() {
+        if (typeof window === "undefined") return 1024;
+        const doc = document.documentElement;
+        return (doc && doc.clientWidth) || window.innerWidth || 1024;
+    }
+
+    /** Content-box width of an element: clientWidth (no borders / scrollbar) minus horizontal padding */
+    function contentWidth(el) {
+        const w = el ? el.clientWidth : 0;
+        if (!w) return 0;
+        const cs = window.getComputedStyle(el);
+        return w - (parseFloat(cs.paddingLeft) || 0) - (parseFloat(cs.paddingRight) || 0);
+    }
+
+    /** Nth percentile (0–100) of a list of numbers; 0 for an empty list */
+    function percentile(values, p) {
+        if (!values.length) return 0;
+        const sorted = values.slice().sort((a, b) => a - b);
+        const rank = Math.ceil((Math.min(100, Math.max(0, p)) / 100) * sorted.length) - 1;
+        return sorted[Math.max(0, rank)];
+    }
+
+    /**
+     * Text `markText` leaves alone: buttons, form controls (a mark would change their value),
+     * editable regions, non-rendered content, and SVG / MathML (which can't hold an HTML `<mark>`).
+     */
+    const MARK_SKIP = "button, script, style, textarea, option, optgroup, select, input, [contenteditable], template, noscript, svg, math";
+
+    /**
+     * Wrap case-insensitive occurrences of `query` (lowercase) in text under `root` with
+     * `<mark class>`; text in `MARK_SKIP` elements is left alone. Returns the number of marks added.
+     */
+    function markText(root, query, cls) {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        while (walker.nextNode()) nodes.push(walker.currentNode);
+        let count = 0;
+        for (const node of nodes) {
+            const parent = node.parentElement;
+            if (!parent || parent.closest(MARK_SKIP)) continue;
+            const text = node.nodeValue;
+            const lower = text.toLowerCase();
+            let i = lower.indexOf(query);
+            if (i === -1) continue;
+            const frag = document.createDocumentFragment();
+            let last = 0;
+            while (i !== -1) {
+                frag.appendChild(document.createTextNode(text.slice(last, i)));
+                const mark = createEl("mark", cls);
+                mark.textContent = text.slice(i, i + query.length);
+                frag.appendChild(mark);
+                count++;
+                last = i + query.length;
+                i = lower.indexOf(query, last);
+            }
+            frag.appendChild(document.createTextNode(text.slice(last)));
+            parent.replaceChild(frag, node);
+        }
+        return count;
+    }
+
+    /** Undo `markText`: unwrap our marks and merge the text back together. */
+    function unmarkText(root, cls) {
+        const marks = root.querySelectorAll("mark." + cls);
+        if (!marks.length) return;
+        marks.forEach(mark => mark.replaceWith(document.createTextNode(mark.textContent || "")));
+        root.normalize();
+    }
+
     /** Visibility helper (true if not display:none/visibility:hidden) */
     function isVisible(el) {
         if (!el) return false;
@@ -208,6 +448,73 @@
         return style && style.display !== "none" && style.visibility !== "hidden";
     }
 
+    /** Trusted Types policies by name (a name can be created only once per page). */
+    const trustedTypesPolicies = new Map();
+
+    /**
+     * Policy passing HTML to Trusted Types sinks; null without Trusted Types support.
+     * Only library-built HTML and `sanitizeHtml` output are given to it (see `_setHtml`).
+     */
+    function trustedTypesPolicy(name) {
+        const tt = typeof window !== "undefined" ? /** @type {any} */ (window).trustedTypes : null;
+        if (!tt || typeof tt.createPolicy !== "function") return null;
+        if (!trustedTypesPolicies.has(name)) trustedTypesPolicies.set(name, tt.createPolicy(name, { createHTML: (html) => html }));
+        return trustedTypesPolicies.get(name);
+    }
+
+    /** Attributes holding id references, rewritten with the ids in cloned content. */
+    const ID_REF_ATTRS = ["for", "headers", "form", "list", "aria-labelledby", "aria-describedby", "aria-controls", "aria-owns", "aria-activedescendant"];
+
+    /**
+     * Deep copy of an element's child nodes with every id suffixed, and id references inside the
+     * copy pointed at the new ids.
+     * @param {Element} from
+     * @param {string} suffix
+     * @returns {DocumentFragment}
+     */
+    function cloneWithUniqueIds(from, suffix) {
+        const frag = document.createDocumentFragment();
+        from.childNodes.forEach(node => frag.appendChild(node.cloneNode(true)));
+        const renamed = new Map();
+        frag.querySelectorAll("[id]").forEach(el => {
+            renamed.set(el.id, el.id + suffix);
+            el.id += suffix;
+        });
+        if (!renamed.size) return frag;
+        frag.querySelectorAll(ID_REF_ATTRS.map(a => `[${a}]`).join(",")).forEach(el => {
+            for (const name of ID_REF_ATTRS) {
+                const value = el.getAttribute(name);
+                if (value !== null) el.setAttribute(name, value.split(/\s+/).map(id => renamed.get(id) || id).join(" "));
+            }
+        });
+        return frag;
+    }
+
+    /** Form controls paired by document order between a cell and its details copy (`liveDetails`). */
+    const FORM_CONTROLS = "input, select, textarea";
+
+    /** Copy a form control's value (or checked state / selected options) onto its counterpart; equal values are left alone. */
+    function copyControlValue(from, to) {
+        if (from.nodeName !== to.nodeName || from.type !== to.type) return;
+        if (from.type === "checkbox" || from.type === "radio") {
+            if (to.checked !== from.checked) to.checked = from.checked;
+        } else if (from.nodeName === "SELECT" && from.multiple) {
+            Array.from(from.options).forEach((opt, i) => {
+                const other = to.options[i];
+                if (other && other.selected !== opt.selected) other.selected = opt.selected;
+            });
+        } else if (from.type !== "file" && to.value !== from.value) {
+            to.value = from.value;
+        }
+    }
+
+    /** Value reported by `cellchange`: checked state for checkboxes, selected values for multiple selects. */
+    function controlValue(el) {
+        if (el.type === "checkbox") return el.checked;
+        if (el.nodeName === "SELECT" && el.multiple) return Array.from(el.selectedOptions || []).map(o => o.value);
+        return el.value;
+    }
+
     /** Build a selector that matches a button with all classes in a space-separated list */
     function buildButtonClassSelector(classString) {
         const parts = String(classString || "").trim().split(/\s+/).filter(Boolean);
@@ -221,6 +528,196 @@
         return parts.every(c => el.classList.contains(c));
     }
 
+    /** ========================================================================
+     * Strings & Locales
+     * ======================================================================= */
+
+    /**
+     * Built-in string packs by language (`locale` option); `en` holds the defaults.
+     * Packs can be added through `CollapseTable.locales`.
+     * @type {Record<string, CollapseTableStrings>}
+     */
+    const LOCALES = {
+        en: {
+            toggleTitle: "Show more",
+            show: "Show details",
+            hide: "Hide details",
+            hiddenCount: "{count} hidden",
+            detailsFor: "Details for {label}",
+            rowDetails: "Row details",
+            labelSeparator: ": ",
+            labelJoin: " / ",
+            groupSeparator: " › ",
+            columns: "Columns",
+            sortBy: "Sort by",
+            sortAscending: "ascending",
+            sortDescending: "descending"
+        },
+        de: {
+            toggleTitle: "Mehr anzeigen",
+            show: "Details anzeigen",
+            hide: "Details ausblenden",
+            hiddenCount: "{count} ausgeblendet",
+            detailsFor: "Details zu {label}",
+            rowDetails: "Zeilendetails",
+            columns: "Spalten",
+            sortBy: "Sortieren nach",
+            sortAscending: "aufsteigend",
+            sortDescending: "absteigend"
+        },
+        es: {
+            toggleTitle: "Mostrar más",
+            show: "Mostrar detalles",
+            hide: "Ocultar detalles",
+            hiddenCount: { one: "{count} oculta", other: "{count} ocultas" },
+            detailsFor: "Detalles de {label}",
+            rowDetails: "Detalles de la fila",
+            columns: "Columnas",
+            sortBy: "Ordenar por",
+            sortAscending: "ascendente",
+            sortDescending: "descendente"
+        },
+        fr: {
+            toggleTitle: "Afficher plus",
+            show: "Afficher les détails",
+            hide: "Masquer les détails",
+            hiddenCount: { one: "{count} masquée", other: "{count} masquées" },
+            detailsFor: "Détails de {label}",
+            rowDetails: "Détails de la ligne",
+            labelSeparator: "\u00a0: ",
+            columns: "Colonnes",
+            sortBy: "Trier par",
+            sortAscending: "croissant",
+            sortDescending: "décroissant"
+        },
+        he: {
+            toggleTitle: "הצג עוד",
+            show: "הצג פרטים",
+            hide: "הסתר פרטים",
+            hiddenCount: { one: "עמודה אחת מוסתרת", other: "{count} מוסתרות" },
+            detailsFor: "פרטים עבור {label}",
+            rowDetails: "פרטי השורה",
+            groupSeparator: " ‹ ",
+            columns: "עמודות",
+            sortBy: "מיון לפי",
+            sortAscending: "בסדר עולה",
+            sortDescending: "בסדר יורד"
+        },
+        ar: {
+            toggleTitle: "عرض المزيد",
+            show: "إظهار التفاصيل",
+            hide: "إخفاء التفاصيل",
+            hiddenCount: { one: "عمود واحد مخفي", two: "عمودان مخفيان", few: "{count} أعمدة مخفية", many: "{count} عمودًا مخفيًا", other: "{count} عمود مخفي" },
+            detailsFor: "تفاصيل {label}",
+            rowDetails: "تفاصيل الصف",
+            groupSeparator: " ‹ ",
+            columns: "الأعمدة",
+            sortBy: "ترتيب حسب",
+            sortAscending: "تصاعدي",
+            sortDescending: "تنازلي"
+        }
+    };
+
+    /** String pack for a locale tag: exact match, else its language ("fr-CA" -> "fr"); null when unknown. */
+    function findLocale(tag) {
+        if (!tag) return null;
+        const key = String(tag);
+        if (Object.prototype.hasOwnProperty.call(LOCALES, key)) return LOCALES[key];
+        const lang = key.toLowerCase().split(/[-_]/)[0];
+        return Object.prototype.hasOwnProperty.call(LOCALES, lang) ? LOCALES[lang] : null;
+    }
+
+    /**
+     * Merge options. A `locale` in `partial` resets the strings to its pack (over the English
+     * defaults, for keys the pack leaves out); strings passed alongside still win.
+     */
+    function mergeOptions(base, partial) {
+        const out = merge(base, partial);
+        const pack = partial && partial.locale ? findLocale(partial.locale) : null;
+        if (pack) out.strings = merge(merge(LOCALES.en, pack), partial.strings);
+        return out;
+    }
+
+    const pluralRulesCache = new Map();
+
+    /** Plural category of a count (`one`, `few`, `other`, …); `other` without Intl support. */
+    function pluralCategory(count, locale) {
+        const key = String(locale || "");
+        try {
+            if (!pluralRulesCache.has(key)) pluralRulesCache.set(key, new Intl.PluralRules(key || undefined));
+            return pluralRulesCache.get(key).select(count);
+        } catch (_) {
+            return "other";
+        }
+    }
+
+    /**
+     * Format a message with parameters.
+     * @param {CollapseTableMessage|undefined} message
+     * @param {Record<string, any>} params Plural forms are picked by `params.count`.
+     * @param {string} [locale]
+     * @returns {string}
+     */
+    function formatMessage(message, params, locale) {
+        if (typeof message === "function") return String(message(params) ?? "");
+        if (message && typeof message === "object") {
+            message = message[pluralCategory(Number(params.count), locale)] ?? message.other;
+        }
+        return String(message ?? "").replace(/\{(\w+)\}/g, (m, name) => (name in params ? String(params[name]) : m));
+    }
+
+    /** CSS string literal of a text (custom properties read by `content`). */
+    function cssString(value) {
+        return `"${String(value ?? "").replace(/["\\]/g, "\\$&").replace(/\n/g, "\\a ")}"`;
+    }
+
+    /** ========================================================================
+     * State persistence
+     * ======================================================================= */
+
+    /**
+     * In-memory storage adapter (state survives re-renders, not reloads).
+     * @returns {CollapseTableStorage}
+     */
+    function createMemoryStorage() {
+        const store = new Map();
+        return {
+            getItem: (key) => (store.has(key) ? store.get(key) : null),
+            setItem: (key, value) => { store.set(key, String(value)); },
+            removeItem: (key) => { store.delete(key); }
+        };
+    }
+
+    /** Shared store behind `persist.storage: 'memory'` */
+    const memoryStorage = createMemoryStorage();
+
+    /**
+     * Storage adapter shape: Web Storage or any object / class instance with `getItem` and `setItem`
+     * (methods may live on the prototype, so adapters are never merged as options).
+     */
+    function isStorageAdapter(v) {
+        return !!v && typeof v === "object" && typeof v.getItem === "function" && typeof v.setItem === "function";
+    }
+
+    /**
+     * Resolve `persist.storage` to an adapter; null when unavailable.
+     * @param {'local'|'session'|'memory'|CollapseTableStorage|null} storage
+     * @returns {CollapseTableStorage|null}
+     */
+    function resolveStorage(storage) {
+        if (!storage) return null;
+        if (typeof storage === "object") return isStorageAdapter(storage) ? storage : null;
+        if (storage === "memory") return memoryStorage;
+        try {
+            // Web Storage access throws in some privacy modes / sandboxed frames
+            if (storage === "local") return window.localStorage;
+            if (storage === "session") return window.sessionStorage;
+        } catch (_) {
+            return null;
+        }
+        return null;
+    }
+
     /** ========================================================================
      * Column Fit Algorithm (pure)
      * ======================================================================= */
@@ -273,18 +770,414 @@
         return new Set(cols.filter(c => c.hidden).map(c => c.index));
     }
 
+    /**
+     * Strict priority order: hide columns from the highest priority number down (widest first
+     * within a priority) until they fit, and never bring back a column while a more important
+     * one stays hidden.
+     * @param {CollapseTableFitColumn[]} columnsMeta
+     * @param {number} available
+     * @returns {Set<number>} indices of hidden columns
+     */
+    function computeHiddenColumnsByPriority(columnsMeta, available) {
+        let total = columnsMeta.reduce((s, c) => s + c.min, 0);
+        const order = columnsMeta
+            .filter(c => !c.lock && c.index !== 0)
+            .sort((a, b) => b.priority - a.priority || b.min - a.min);
+
+        const hidden = new Set();
+        for (const c of order) {
+            if (total <= available) break;
+            hidden.add(c.index);
+            total -= c.min;
+        }
+        return hidden;
+    }
+
+    /**
+     * Maximize the number of visible columns: hide the widest columns first
+     * (least important first among equal widths).
+     * @param {CollapseTableFitColumn[]} columnsMeta
+     * @param {number} available
+     * @returns {Set<number>} indices of hidden columns
+     */
+    function computeHiddenColumnsByCount(columnsMeta, available) {
+        let total = columnsMeta.reduce((s, c) => s + c.min, 0);
+        const order = columnsMeta
+            .filter(c => !c.lock && c.index !== 0)
+            .sort((a, b) => b.min - a.min || b.priority - a.priority);
+
+        const hidden = new Set();
+        for (const c of order) {
+            if (total <= available) break;
+            hidden.add(c.index);
+            total -= c.min;
+        }
+        return hidden;
+    }
+
+    /** Built-in fit strategies by name */
+    const FIT_STRATEGIES = {
+        greedy: computeHiddenColumns,
+        priority: computeHiddenColumnsByPriority,
+        count: computeHiddenColumnsByCount
+    };
+
+    /**
+     * Run a fit strategy (name or function). Results are sanitized: locked columns and the control
+     * column stay visible; a failing custom strategy falls back to the greedy fit.
+     * @param {CollapseTableFitColumn[]} meta
+     * @param {number} available
+     * @param {'greedy'|'priority'|'count'|CollapseTableFitStrategy} option
+     * @param {(err:any)=>void} [onError] Called when the strategy throws.
+     * @returns {Set<number>}
+     */
+    function fitColumns(meta, available, option, onError) {
+        const strategy = typeof option === "function" ? option : (FIT_STRATEGIES[option] || computeHiddenColumns);
+
+        let result;
+        try {
+            result = strategy(meta.map(c => Object.assign({}, c)), available);
+        } catch (err) {
+            if (onError) onError(err);
+            result = computeHiddenColumns(meta, available);
+        }
+
+        const hideable = new Set(meta.filter(c => !c.lock && c.index !== 0).map(c => c.index));
+        return new Set(Array.from(result || []).map(Number).filter(i => hideable.has(i)));
+    }
+
+    /**
+     * Breakpoint name (from `breakpoints`) or px value to px.
+     * @param {string|null} value
+     * @param {Record<string, number>} breakpoints
+     * @returns {number|null} null if empty or unknown.
+     */
+    function resolveBreakpointPx(value, breakpoints) {
+        if (value === null || value === "") return null;
+        const map = breakpoints || {};
+        if (Object.prototype.hasOwnProperty.call(map, value)) return Number(map[value]);
+        const px = parseFloat(value);
+        return Number.isFinite(px) ? px : null;
+    }
+
+    /** ========================================================================
+     * Logical Grid Model (pure)
+     * ======================================================================= */
+
+    /**
+     * Resolve colspan/rowspan of a table section into a logical slot grid.
+     * Follows the HTML table model: each cell is placed at the first free slot of its
+     * row and occupies `colSpan × rowSpan` slots (`rowspan="0"` runs to the last row).
+     * @param {HTMLTableRowElement[]} rows Rows of one section, in order.
+     * @param {(cell:HTMLTableCellElement)=>number} [colSpanOf] Authored colspan lookup (defaults to `cell.colSpan`).
+     * @returns {{rows:HTMLTableRowElement[], slots:HTMLTableCellElement[][], cells:Map<HTMLTableCellElement,{row:number,col:number,colSpan:number,rowSpan:number}>, width:number}}
+     */
+    function buildGrid(rows, colSpanOf) {
+        const spanOf = colSpanOf || (cell => cell.colSpan || 1);
+        const slots = rows.map(() => []);
+        const cells = new Map();
+        let width = 0;
+
+        rows.forEach((tr, r) => {
+            let c = 0;
+            for (const cell of Array.from(tr.cells)) {
+                while (slots[r][c]) c++;
+                const colSpan = Math.max(1, spanOf(cell) || 1);
+                const left = rows.length - r;
+                const rowSpan = cell.rowSpan > 0 ? Math.min(cell.rowSpan, left) : left;
+                for (let y = r; y < r + rowSpan; y++) {
+                    for (let x = c; x < c + colSpan; x++) slots[y][x] = cell;
+                }
+                cells.set(cell, { row: r, col: c, colSpan, rowSpan });
+                c += colSpan;
+                if (c > width) width = c;
+            }
+        });
+
+        return { rows, slots, cells, width };
+    }
+
+    /**
+     * Group grid rows into blocks tied together by rowspans.
+     * @param {{rows:HTMLTableRowElement[], cells:Map<HTMLTableCellElement,{row:number,rowSpan:number}>}} grid
+     * @returns {Array<[number, number]>} Inclusive [start, end] row indices per block.
+     */
+    function rowBlocks(grid) {
+        const reach = grid.rows.map((_, r) => r);
+        grid.cells.forEach((info) => {
+            const last = info.row + info.rowSpan - 1;
+            if (last > reach[info.row]) reach[info.row] = last;
+        });
+
+        const blocks = [];
+        let r = 0;
+        while (r < reach.length) {
+            const start = r;
+            let end = reach[r];
+            while (r <= end) {
+                if (reach[r] > end) end = reach[r];
+                r++;
+            }
+            blocks.push([start, end]);
+        }
+        return blocks;
+    }
+
+    /** ========================================================================
+     * Row Sorting (pure)
+     * ======================================================================= */
+
+    const compareValues = (x, y) => (x < y ? -1 : x > y ? 1 : 0);
+
+    /** Number in display text ("$1,234.50" → 1234.5); -Infinity when there is none. */
+    function parseSortNumber(v) {
+        const n = parseFloat(String(v).replace(/[^0-9eE.+-]/g, ""));
+        return Number.isNaN(n) ? -Infinity : n;
+    }
+
+    /** Timestamp of a date string; -Infinity when unparsable. */
+    function parseSortDate(v) {
+        const t = Date.parse(v);
+        return Number.isNaN(t) ? -Infinity : t;
+    }
+
+    let textCollator = null;
+
+    /** @type {Record<string, CollapseTableSorter>} */
+    const SORTERS = {
+        text: (a, b) => {
+            if (!textCollator && typeof Intl !== "undefined") {
+                textCollator = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" });
+            }
+            return textCollator ? textCollator.compare(a, b) : compareValues(a, b);
+        },
+        number: (a, b) => compareValues(parseSortNumber(a), parseSortNumber(b)),
+        date: (a, b) => compareValues(parseSortDate(a), parseSortDate(b))
+    };
+
+    /**
+     * Stable sort of items by their sort value. Empty values go last in both directions.
+     * @template {{value:string, cell:HTMLTableCellElement|null, pos:number}} T
+     * @param {T[]} items `pos` is the current position (tie-breaker).
+     * @param {CollapseTableSorter} compare
+     * @param {'asc'|'desc'} direction
+     * @returns {T[]}
+     */
+    function sortItems(items, compare, direction) {
+        const sign = direction === "desc" ? -1 : 1;
+        return items.slice().sort((a, b) => {
+            const emptyA = a.value === "", emptyB = b.value === "";
+            if (emptyA || emptyB) return emptyA === emptyB ? a.pos - b.pos : (emptyA ? 1 : -1);
+            return (sign * compare(a.value, b.value, a.cell, b.cell)) || (a.pos - b.pos);
+        });
+    }
+
+    /** ========================================================================
+     * Server Markup (pure)
+     * ======================================================================= */
+
+    /** Escape text for HTML content and attribute values. */
+    function escapeHtml(value) {
+        return String(value ?? "").replace(/[&<>"']/g, ch => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[ch]);
+    }
+
+    /** Attributes to HTML (` name="value"`); null, undefined and false are left out, true renders a bare attribute. */
+    function htmlAttrs(attrs) {
+        let out = "";
+        for (const name of Object.keys(attrs)) {
+            const value = attrs[name];
+            if (value === null || value === undefined || value === false) continue;
+            out += value === true ? ` ${name}` : ` ${name}="${escapeHtml(value)}"`;
+        }
+        return out;
+    }
+
+    /** Own attributes merged with extra ones; class lists are joined. */
+    function withAttrs(own, extra) {
+        const attrs = Object.assign({}, own, extra);
+        const classes = [own.class, extra && extra.class].filter(Boolean).join(" ");
+        attrs.class = classes || null;
+        return attrs;
+    }
+
+    /**
+     * Render a table description as pre-rendered markup the controller adopts without re-creating
+     * nodes: control column and toggle buttons, hide classes (and shrunk colspans) for the columns
+     * hidden at `description.width`, the stacked layout below `stackBelow`, and details rows of
+     * expanded rows. Pure (no DOM), so it runs in Node.
+     * @param {CollapseTableMarkup} description
+     * @param {CollapseTableOptions} options Effective options (defaults merged).
+     * @returns {string} `<table>` HTML.
+     */
+    function renderTableMarkup(description, options) {
+        const { classNames: cls, attrs: names, strings, icons } = options;
+        const text = (name, params) => formatMessage(strings[name], params || {}, options.locale);
+        const columns = [{}].concat(description.columns || []); // control column first
+        const width = description.width === undefined || description.width === null
+            ? null
+            : resolveBreakpointPx(String(description.width), options.breakpoints);
+
+        // Columns hidden at the expected width: breakpoint rules, then the fit strategy
+        const stackBelow = Number(options.stackBelow) || 0;
+        const stacked = width !== null && stackBelow > 0 && width < stackBelow;
+        /** @type {Set<number>} */
+        let hidden = new Set();
+        if (width !== null && !stacked) {
+            columns.forEach((col, i) => {
+                const below = i ? resolveBreakpointPx(col.hideBelow ?? null, options.breakpoints) : null;
+                const above = i ? resolveBreakpointPx(col.hideAbove ?? null, options.breakpoints) : null;
+                if ((below !== null && width < below) || (above !== null && width >= above)) hidden.add(i);
+            });
+            if (options.breakpointMode !== "replace") {
+                const meta = columns.map((col, i) => {
+                    const priority = i === 0 ? 1 : (col.priority !== undefined ? Number(col.priority) : i + 1);
+                    const min = i === 0 ? options.controlWidth : (Number(col.min) || options.minWidthDefault);
+                    return { index: i, min, priority, lock: i === 0 || priority === 1 };
+                }).filter(c => !hidden.has(c.index));
+                hidden = new Set(Array.from(hidden).concat(Array.from(fitColumns(meta, width, options.fitStrategy))));
+            }
+        }
+        const hiddenCount = columns.filter((_, i) => i && hidden.has(i)).length;
+        const anyHidden = hiddenCount > 0;
+        const hideControlCol = !anyHidden && !options.columnMenu;
+        const controlClass = [cls.control, hideControlCol ? cls.hide : ""].filter(Boolean).join(" ");
+        const labelOf = (i) => (columns[i] && columns[i].label !== undefined ? String(columns[i].label) : "");
+
+        // Body rows resolved into a logical grid (same model as the controller's)
+        const rows = (description.rows || []).map(row => (Array.isArray(row) ? { cells: row } : row));
+        const gridRows = rows.map(row => ({
+            cells: [{ colSpan: 1, rowSpan: 1 }].concat((row.cells || []).map(value => {
+                const cell = value !== null && typeof value === "object" ? value : { text: value };
+                return { cell, colSpan: Math.max(1, Number(cell.colspan) || 1), rowSpan: cell.rowspan === undefined ? 1 : Number(cell.rowspan) };
+            }))
+        }));
+        const grid = buildGrid(/** @type {any} */(gridRows), (c) => c.colSpan);
+        const textOf = (cell) => (cell.text !== undefined ? String(cell.text) : String(cell.html ?? "").replace(/<[^>]*>/g, ""));
+        const safeHtml = (html) => String(typeof options.sanitizeHtml === "function" ? options.sanitizeHtml(String(html)) : html);
+        const contentOf = (cell) => (cell.html !== undefined ? safeHtml(cell.html) : escapeHtml(cell.text));
+        const keys = rows.map((row, r) => (row.key !== undefined ? String(row.key) : String(r + 1)));
+        const open = rows.map(row => !!row.expanded && anyHidden);
+        const detailsId = (r) => (open[r] && description.id ? `${description.id}-row-${keys[r]}-details` : null);
+
+        let html = `<table${htmlAttrs(withAttrs({
+            id: description.id || null,
+            class: [cls.root, stacked ? cls.stacked : ""].filter(Boolean).join(" "),
+            style: description.attrs && description.attrs.style ? null : `width: 100%; table-layout: ${options.tableLayout};` + (stacked && strings.labelSeparator !== ": " ? ` ${CTBL_LABEL_SEPARATOR_PROP}: ${cssString(strings.labelSeparator)};` : "")
+        }, description.attrs))}>`;
+
+        // Header: control cell, then one leaf header per column
+        html += `<thead><tr><th${htmlAttrs({ class: controlClass, "aria-hidden": "true", scope: "col" })}></th>`;
+        columns.forEach((col, i) => {
+            if (i === 0) return;
+            html += `<th${htmlAttrs(withAttrs({
+                [names.priority]: col.priority,
+                [names.min]: col.min,
+                [names.label]: col.html !== undefined ? col.label : undefined,
+                [names.hideBelow]: col.hideBelow,
+                [names.hideAbove]: col.hideAbove,
+                [names.sort]: col.sort,
+                class: hidden.has(i) ? cls.hide : null
+            }, col.attrs))}>${col.html !== undefined ? safeHtml(col.html) : escapeHtml(col.label)}</th>`;
+        });
+        html += "</tr></thead><tbody>";
+
+        const detailsRows = rows.map((row, r) => {
+            if (!open[r]) return "";
+            // Default "name: value" list for the hidden columns, each cell listed once
+            const slots = grid.slots[r];
+            const shown = new Set(columns.map((_, i) => i).filter(i => !hidden.has(i)).map(i => slots[i]));
+            const entries = [];
+            columns.forEach((_, i) => {
+                if (i === 0 || !hidden.has(i)) return;
+                const slot = slots[i];
+                if (slot && shown.has(slot)) return;
+                const prev = slot && entries.find(e => e.slot === slot);
+                const label = labelOf(i);
+                if (prev) {
+                    if (label && prev.labels.indexOf(label) === -1) prev.labels.push(label);
+                    return;
+                }
+                entries.push({ slot, labels: label ? [label] : [] });
+            });
+            const primary = columns.map((_, i) => i).filter(i => i && !hidden.has(i))
+                .map(i => slots[i] && slots[i].cell ? textOf(slots[i].cell).trim() : "").find(Boolean);
+            let out = `<tr${htmlAttrs({ class: `${cls.details} ctbl-details-row`, id: detailsId(r) })}><td colspan="${grid.width || columns.length}">`;
+            out += `<div${htmlAttrs({ class: cls.detailsInner, role: "region", "aria-live": "polite", "aria-label": primary ? text("detailsFor", { label: primary }) : text("rowDetails") })}>`;
+            for (const entry of entries) {
+                const name = entry.labels.length ? entry.labels.join(strings.labelJoin) + strings.labelSeparator : "";
+                const value = entry.slot && entry.slot.cell ? contentOf(entry.slot.cell) : "";
+                out += `<div class="${escapeHtml(cls.detail)}"><span class="${escapeHtml(cls.name)}">${escapeHtml(name)}</span><span class="${escapeHtml(cls.value)}">${value}</span></div>`;
+            }
+            return out + "</div></td></tr>";
+        });
+
+        const blockStart = new Map(rowBlocks(/** @type {any} */(grid)).map(([start, end]) => [end, start]));
+        const toggleLabel = anyHidden ? `${strings.toggleTitle} (${text("hiddenCount", { count: hiddenCount })})` : strings.toggleTitle;
+        rows.forEach((row, r) => {
+            // Control cell with the toggle button
+            html += `<tr${htmlAttrs(withAttrs({ "data-ctbl-key": row.key }, row.attrs))}>`;
+            html += `<td${htmlAttrs({ class: controlClass })}>`;
+            html += `<button${htmlAttrs({
+                type: "button",
+                class: cls.toggle,
+                "aria-expanded": String(open[r]),
+                "aria-controls": detailsId(r),
+                title: strings.toggleTitle,
+                "aria-label": toggleLabel,
+                style: anyHidden ? "visibility: visible;" : "visibility: hidden;"
+            })}>${open[r] ? icons.collapse : icons.expand}<span class="ctbl-vh">${escapeHtml(open[r] ? strings.hide : strings.toggleTitle)}</span></button></td>`;
+
+            // Data cells: hidden when all their columns are, colspan shrunk to the visible ones
+            for (const slot of gridRows[r].cells.slice(1)) {
+                const info = grid.cells.get(/** @type {any} */(slot));
+                if (!info) continue;
+                const cell = slot.cell;
+                let visible = 0;
+                const labels = [];
+                for (let x = info.col; x < info.col + info.colSpan; x++) {
+                    if (!hidden.has(x)) visible++;
+                    const text = labelOf(x);
+                    if (text && labels.indexOf(text) === -1) labels.push(text);
+                }
+                const span = Math.max(visible, 1);
+                html += `<td${htmlAttrs(withAttrs({
+                    colspan: span > 1 ? span : (info.colSpan > 1 ? 1 : null),
+                    [CTBL_COLSPAN_ATTR]: span !== info.colSpan ? info.colSpan : null,
+                    rowspan: cell.rowspan,
+                    [names.sortValue]: cell.sortValue,
+                    [CTBL_STACK_LABEL_ATTR]: stacked && labels.length ? labels.join(strings.labelJoin) : null,
+                    class: visible === 0 ? cls.hide : null
+                }, cell.attrs))}>${contentOf(cell)}</td>`;
+            }
+            html += "</tr>";
+
+            // Details rows follow the last row of their rowspan block
+            if (blockStart.has(r)) {
+                for (let b = blockStart.get(r); b <= r; b++) html += detailsRows[b];
+            }
+        });
+
+        return html + "</tbody></table>";
+    }
+
     /** ========================================================================
      * Table Controller (internal)
      * ======================================================================= */
 
     let __CTBL_TABLE_SEQ = 0; // unique id prefix per table for a11y ids
 
+    const CTBL_STACK_LABEL_ATTR = "data-ctbl-label"; // per-cell label rendered by the stacked layout
+    const CTBL_LABEL_SEPARATOR_PROP = "--ctbl-label-separator"; // `strings.labelSeparator` for the stacked layout's CSS
+    const CTBL_SORT_ATTR = "data-ctbl-sort"; // column index on sort buttons outside the header (details panel)
+    const CTBL_SCOPE_ATTR = "data-ctbl-scope"; // table attribute the `hideMode: 'stylesheet'` rules are scoped to
+    const CTBL_COLSPAN_ATTR = "data-ctbl-colspan"; // authored colspan of a cell pre-rendered with a shrunk one
+
     class TableController {
         /**
          * Internal per-table controller.
          * @param {HTMLTableElement} table Target table element.
          * @param {CollapseTableOptions} options Effective options for this table.
-         * @param {(event:CollapseTableEvent, payload:any)=>void} emit Event emitter.
+         * @param {(event:CollapseTableEvent, payload:any)=>boolean} emit Event emitter; false when a cancelable event was vetoed.
          * @param {CollapseTableMode} mode Current runtime mode ('development' | 'production').
          */
         constructor(table, options, emit, mode) {
@@ -297,12 +1190,61 @@
 
             this._rowKeyMap = new WeakMap(); // TR -> stable key
             this._rowKeySeq = 0;
-            this._unsupportedSpan = false;
+            this._colSpans = new WeakMap(); // cell -> authored colspan (we shrink spans while columns are hidden)
+            this._rowSlots = new WeakMap(); // data TR -> logical cells per column (spans resolved)
+            this._rowGrids = new WeakMap(); // data TR -> grid of its TBODY
+            this._rowSynced = new WeakMap(); // data TR -> row state key it was last synced to
+            this._rowState = null; // what rows are synced to: hidden columns, control column, labels
+            this._columnsGen = 0; // bumped when columns are rebuilt (labels may change)
+            this._bodyGrids = new WeakMap(); // TBODY -> logical grid of its data rows
+            this._detailsRows = new WeakMap(); // data TR -> details TR
+            this._detailsOwners = new WeakMap(); // details TR -> data TR
+            /** @type {Map<HTMLTableRowElement, (Function|null)>} */
+            this._detailsMounted = new Map(); // details TR -> `detailsMount` cleanup (framework-owned panels)
+            this._hiddenSet = new Set(); // column indices hidden by the last refit
+            /** @type {CollapseTableLayout} */
+            this.layout = "collapse";
             this._destroyed = false;
 
             this._insertedControl = false; // whether we injected the control column
             this._uid = ++__CTBL_TABLE_SEQ; // unique prefix if table has no id
 
+            /** @type {Set<string>} */
+            this._expandedKeys = new Set(); // row keys of expanded rows (restored on mount)
+            /** @type {Map<number, 'show'|'hide'>} */
+            this._columnOverrides = new Map(); // user column overrides (column chooser / showColumn / hideColumn)
+            /** @type {{index:number, direction:'asc'|'desc'}|null} */
+            this._sort = null; // last applied sort
+            /** @type {Map<HTMLTableCellElement, boolean>} */
+            this._sortHeaders = new Map(); // sortable header -> whether we added its tabindex
+            /** @type {{query:(string|null), test:(Function|null)}|null} */
+            this._filter = null; // active row filter (re-applied to rows mounted later)
+            /** @type {Set<HTMLTableRowElement>} */
+            this._filterExpanded = new Set(); // rows expanded by `filter(..., { expand: true })`
+            this._highlight = ""; // active highlight query (lowercase)
+            /** @type {WeakMap<HTMLTableRowElement, string>} */
+            this._highlighted = new WeakMap(); // data TR -> query its cells are marked for
+            /** @type {Set<HTMLTableRowElement>} */
+            this._highlightExpanded = new Set(); // rows expanded by `highlight()`
+            /** @type {Map<HTMLTableSectionElement, {rows:HTMLTableRowElement[], attached:HTMLTableRowElement[], top:HTMLTableRowElement, bottom:HTMLTableRowElement, avg:number}>} */
+            this._virtual = new Map(); // virtualized TBODY -> all its data rows and the rendered ones
+            this._rowHeights = new WeakMap(); // data TR -> last measured height (with open details)
+            this._spannedRows = new WeakSet(); // data TRs with spanning cells (nth-child rules can't address their columns)
+            /** @type {HTMLStyleElement|null} */
+            this._styleEl = null; // scoped column rules (`hideMode: 'stylesheet'`)
+            /** @type {Map<HTMLTableRowElement, HTMLTableCellElement[]>} */
+            this._movedContent = new Map(); // details TR -> cells whose nodes are in its panel (`detailsContent: 'move'`)
+            this._movedCells = new WeakMap(); // cell -> details value element now holding its nodes
+            /** @type {Map<HTMLTableRowElement, {cells:Map<HTMLTableCellElement, HTMLElement|null>, pending:Set<HTMLTableCellElement>}>} */
+            this._liveRows = new Map(); // open details TR -> listed cells and their values (`liveDetails`)
+            /** @type {Map<HTMLTableCellElement, HTMLTableRowElement>} */
+            this._liveCells = new Map(); // observed cell -> details TR listing it
+            this._liveObserver = null;
+            this._liveSyncQueued = false;
+            this._adoptedPanels = new WeakSet(); // details TRs adopted open from pre-rendered markup, not synced yet
+            this._serverHidden = ""; // columns hidden in pre-rendered markup ("2,3")
+            this._loadState();
+
             this._initOnce();
         }
 
@@ -311,6 +1253,104 @@
             this._mode = normalizeMode(mode);
         }
 
+        /** Storage adapter and key for persisted state, or null when persistence is off. */
+        _persistTarget() {
+            const persist = this.options.persist || {};
+            const storage = resolveStorage(persist.storage);
+            if (!storage) {
+                // 'local' / 'session' may just be blocked; anything else can't store state at all
+                if (persist.storage && persist.storage !== "local" && persist.storage !== "session") {
+                    oncePerTable(this.table, "persist-storage-warn", () => {
+                        if (this._mode === CTBL_MODE_DEV) {
+                            console.warn("CollapseTable: persist.storage must be 'local', 'session', 'memory' or an object with getItem/setItem; state will not be stored.");
+                        }
+                    });
+                }
+                return null;
+            }
+            const id = persist.id || this.table.id;
+            if (!id) {
+                oncePerTable(this.table, "persist-id-warn", () => {
+                    if (this._mode === CTBL_MODE_DEV) {
+                        console.warn("CollapseTable: persist needs a table id (or persist.id); state will not be stored.");
+                    }
+                });
+                return null;
+            }
+            return { storage, key: (persist.prefix || "") + id };
+        }
+
+        _loadState() {
+            const target = this._persistTarget();
+            if (!target) return;
+            try {
+                const raw = target.storage.getItem(target.key);
+                const state = raw ? JSON.parse(raw) : null;
+                if (state && Array.isArray(state.expanded)) this._expandedKeys = new Set(state.expanded.map(String));
+                if (state && state.columns) this._columnOverrides = this._parseColumnOverrides(state.columns);
+            } catch (_) {
+                // ignore unreadable / foreign values
+            }
+        }
+
+        _saveState() {
+            const target = this._persistTarget();
+            if (!target) return;
+            try {
+                target.storage.setItem(target.key, JSON.stringify(this.getState()));
+            } catch (_) {
+                // quota exceeded / storage disabled: state stays in memory
+            }
+        }
+
+        /**
+         * Current state (expanded row keys).
+         * @returns {CollapseTableState}
+         */
+        getState() {
+            const columns = {};
+            this._columnOverrides.forEach((value, index) => { columns[index] = value; });
+            return { expanded: Array.from(this._expandedKeys), columns };
+        }
+
+        /** Column overrides from a serialized `{ [index]: 'show' | 'hide' }` map. */
+        _parseColumnOverrides(columns) {
+            const out = new Map();
+            for (const k in columns) {
+                if (!Object.prototype.hasOwnProperty.call(columns, k)) continue;
+                const index = Number(k);
+                if (index > 0 && (columns[k] === "show" || columns[k] === "hide")) out.set(index, columns[k]);
+            }
+            return out;
+        }
+
+        /**
+         * Apply a state: expands listed rows, collapses the rest. Rows mounted later
+         * with a listed key are expanded when they appear. Column overrides are replaced when given.
+         * @param {Partial<CollapseTableState>} state
+         */
+        setState(state) {
+            const expanded = state && Array.isArray(state.expanded) ? state.expanded.map(String) : [];
+            this._expandedKeys = new Set(expanded);
+            for (const tb of this.tbodies) {
+                for (const row of this._dataRowsOf(tb)) this._restoreRowState(row);
+            }
+            if (state && state.columns) {
+                this._columnOverrides = this._parseColumnOverrides(state.columns);
+                this._refit();
+            }
+            this._saveState();
+        }
+
+        /** Bring a row's expansion in line with `_expandedKeys`. */
+        _restoreRowState(row) {
+            const btn = row.querySelector(this._toggleSelector);
+            if (!btn) return;
+            const want = this._expandedKeys.has(this._rowKeyMap.get(row));
+            const expanded = btn.getAttribute("aria-expanded") === "true";
+            if (want !== expanded) this.toggle(row);
+        }
+
         _initOnce() {
             injectCoreStylesOnce();
 
@@ -326,26 +1366,33 @@
             if (!this.thead || !this.thead.rows.length) {
                 throw new Error("CollapseTable: table <thead> with at least one <tr> is required.");
             }
-            this.headerRow = this.thead.rows[0];
+            this.headerRows = Array.from(this.thead.rows);
+            this.headerRow = this.headerRows[0]; // hosts the control header cell
 
             this.tbodies = Array.from(this.table.tBodies || []);
             if (!this.tbodies.length) throw new Error("CollapseTable: table <tbody> is required.");
 
-            // Validate no colspan/rowspan (current limitation)
-            this._checkSpans();
-
             // Prepare selectors (support space-separated toggle classes)
             this._toggleSelector = buildButtonClassSelector(this.options.classNames.toggle);
 
+            // Pre-rendered markup: header cells the server hid (its open panels list those columns)
+            const serverHidden = new Set(Array.from(this.thead.querySelectorAll("th")).filter(th => th.classList.contains(this.options.classNames.hide)));
+
             // Prepare control column, headers and columns metadata
             this._ensureControlColumn();
-            this.headers = Array.from(this.headerRow.cells);
             this.ctrlIndex = 0;
 
-            this._buildColumns(); // sets this.columnsMeta
+            this._buildColumns(); // sets this.columnsMeta, this.headers and this.columnCount
+            this._serverHidden = this.columnsMeta.filter(c => c.index !== 0 && serverHidden.has(c.th)).map(c => c.index).join(",");
 
             // Prepare all TBODY rows
             this._mountAllBodies();
+            this._mountColumnMenu();
+            if (this.options.keyboard) this._mountKeyboard();
+            if (this.options.measure === "content") this._measureColumns(); // bodies are resolved now
+
+            // Pre-rendered markup may already be stacked (see `CollapseTable.renderMarkup`)
+            if (this.table.classList.contains(this.options.classNames.stacked)) this.layout = "stack";
 
             // Initial fit
             this._refit(true);
@@ -354,25 +1401,26 @@
             this._observe();
         }
 
-        _checkSpans() {
-            const hasSpanInHead = Array.from(this.headerRow.cells).some(th => th.colSpan !== 1 || th.rowSpan !== 1);
-            const hasSpanInBody = this.tbodies.some(tb =>
-                Array.from(tb.rows).some(tr =>
-                    Array.from(tr.cells).some(td => td.colSpan !== 1 || td.rowSpan !== 1)
-                )
-            );
-            if (hasSpanInHead || hasSpanInBody) {
-                this._unsupportedSpan = true;
-                // Warn only in development mode (to avoid scaring production users)
-                oncePerTable(this.table, "span-warning", () => {
-                    if (this._mode === CTBL_MODE_DEV) {
-                        console.warn("CollapseTable: <colspan> / <rowspan> detected. Responsive collapsing is disabled for this table; base styles still applied.");
-                    }
-                });
-            }
+        /** Authored colspan of a cell (remembered before we start shrinking spans). */
+        _colSpanOf(cell) {
+            if (!this._colSpans.has(cell)) this._colSpans.set(cell, Number(cell.getAttribute(CTBL_COLSPAN_ATTR)) || cell.colSpan || 1);
+            return this._colSpans.get(cell);
+        }
+
+        /** Logical cells of a data row, indexed by column (a spanning cell fills every slot it covers). */
+        _cellsOf(row) {
+            return this._rowSlots.get(row) || Array.from(row.cells);
         }
 
+        /** Element whose width bounds the table: `sizeSource` (closest match / element) or the parent. */
         _getWrapper() {
+            const source = this.options.sizeSource;
+            if (source) {
+                const el = typeof source === "string"
+                    ? (this.table.closest(source) || document.querySelector(source))
+                    : (source.nodeType === 1 ? source : null);
+                if (el) return el;
+            }
             return this.table.parentElement || this.table;
         }
 
@@ -383,6 +1431,7 @@
                 const th = createEl("th", this.options.classNames.control);
                 th.setAttribute("aria-hidden", "true");
                 th.setAttribute("scope", "col");
+                if (this.headerRows.length > 1) th.rowSpan = this.headerRows.length;
                 this.headerRow.insertBefore(th, this.headerRow.firstChild);
                 this._insertedControl = true;
 
@@ -400,27 +1449,90 @@
             }
         }
 
+        /** Re-read header rows; the control header cell spans all of them. */
+        _syncHeaderRows() {
+            this.headerRows = Array.from(this.thead.rows);
+            this.headerRow = this.headerRows[0];
+            const ctrlTh = this.headerRow && this.headerRow.cells[0];
+            if (ctrlTh && hasAllClasses(ctrlTh, this.options.classNames.control)) {
+                const span = this.headerRows.length;
+                if (ctrlTh.rowSpan !== span) ctrlTh.rowSpan = span;
+            }
+        }
+
+        /** Header label text for a cell (`data-label` wins over text content). */
+        _labelOf(th) {
+            return (th.getAttribute(this.options.attrs.label) || th.textContent || "").trim();
+        }
+
+        /** A string from `strings`, formatted (templates, plural forms) for the table's locale. */
+        _text(name, params) {
+            return formatMessage(this.options.strings[name], params || {}, this.options.locale);
+        }
+
+        /** Details label for a column: ancestor group labels and the column label, e.g. "Q1 › Revenue". */
+        _columnLabel(col) {
+            const parts = (col.groups || []).map(g => this._labelOf(g)).filter(Boolean);
+            const own = this._labelOf(col.th);
+            if (own) parts.push(own);
+            return parts.join(this.options.strings.groupSeparator);
+        }
+
         _buildColumns() {
-            const ths = Array.from(this.headerRow.cells);
-            ths.forEach(th => th.classList.remove(this.options.classNames.hide));
+            this._syncHeaderRows();
+
+            // Resolve header spans; restore authored layout before measuring
+            const grid = buildGrid(this.headerRows, (cell) => this._colSpanOf(cell));
+            grid.cells.forEach((info, cell) => {
+                cell.classList.remove(this.options.classNames.hide);
+                if (cell.colSpan !== info.colSpan) cell.colSpan = info.colSpan;
+            });
+            this._headGrid = grid;
+            this.columnCount = grid.width;
+
+            // Leaf header per column: the bottom-most header cell covering it
+            const leafFor = (i) => {
+                for (let r = grid.slots.length - 1; r >= 0; r--) {
+                    if (grid.slots[r][i]) return grid.slots[r][i];
+                }
+                return null;
+            };
 
-            const measure = (th) => {
-                const hinted = Number(th.getAttribute(this.options.attrs.min)) || 0;
-                const w = Math.ceil(th.clientWidth || th.offsetWidth || 0);
-                return hinted > 0 ? hinted : (w > 0 ? w : this.options.minWidthDefault);
+            // Group headers above a leaf, outermost first
+            const groupsFor = (i, th) => {
+                const groups = [];
+                const top = grid.cells.get(th).row;
+                for (let r = 0; r < top; r++) {
+                    const cell = grid.slots[r][i];
+                    if (cell && cell !== th && groups.indexOf(cell) === -1) groups.push(cell);
+                }
+                return groups;
             };
 
-            /** @type {{index:number, th:HTMLTableCellElement, priority:number, min:number, lock:boolean}[]} */
+            /** @type {{index:number, th:HTMLTableCellElement, groups:HTMLTableCellElement[], priority:number, min:number, lock:boolean, hideBelow:(string|null), hideAbove:(string|null), sort:(string|null)}[]} */
             const cols = [];
             const priorities = [];
-            for (let i = 0; i < ths.length; i++) {
-                const th = ths[i];
+            for (let i = 0; i < grid.width; i++) {
+                const th = leafFor(i);
+                if (!th) continue;
                 const isControl = i === 0;
-                const priorityAttr = th.getAttribute(this.options.attrs.priority);
+                const groups = isControl ? [] : groupsFor(i, th);
+                // A leaf without its own priority inherits the nearest group's
+                const inherited = (name) => {
+                    const source = [th].concat(groups.slice().reverse()).find(c => c.hasAttribute(name));
+                    return source ? source.getAttribute(name) : null;
+                };
+                const priorityAttr = inherited(this.options.attrs.priority);
                 const priority = priorityAttr ? Number(priorityAttr) : (isControl ? 1 : (i + 1));
-                const min = isControl ? this.options.controlWidth : measure(th);
+                const min = isControl ? this.options.controlWidth : this._measureColumn(th, i);
                 const lock = isControl || priority === 1;
-                cols.push({ index: i, th, priority, min, lock });
+                // Breakpoint rules (names or px), resolved at refit time
+                const hideBelow = isControl ? null : inherited(this.options.attrs.hideBelow);
+                const hideAbove = isControl ? null : inherited(this.options.attrs.hideAbove);
+                // Sorter name; null when the column is not sortable
+                const sortAttr = th.getAttribute(this.options.attrs.sort);
+                const sort = isControl || !this.options.sortable || sortAttr === "none" ? null : (sortAttr || "text");
+                cols.push({ index: i, th, groups, priority, min, lock, hideBelow, hideAbove, sort });
                 if (!isControl) priorities.push(priority);
             }
 
@@ -441,15 +1553,169 @@
             });
 
             this.columnsMeta = cols;
+            this.headers = cols.map(c => c.th);
+            this._columnsGen++;
+            this._syncSortHeaders();
             return cols;
         }
 
+        /**
+         * Min width for one logical column, from its leaf header (hint or measurement, split across
+         * its span); with `measure: 'content'` at least the measured body content width.
+         */
+        _measureColumn(th, index) {
+            const span = th.colSpan || 1;
+            const hinted = Number(th.getAttribute(this.options.attrs.min)) || 0;
+            if (hinted > 0) return Math.ceil(hinted / span);
+            let w = Math.ceil((th.clientWidth || th.offsetWidth || 0) / span);
+            if (this.options.measure === "content") w = Math.max(w, this._contentWidth(index));
+            return w > 0 ? w : this.options.minWidthDefault;
+        }
+
+        /** Recompute min widths of all columns. */
+        _measureColumns() {
+            for (const col of this.columnsMeta) {
+                col.min = col.index === 0 ? this.options.controlWidth : this._measureColumn(col.th, col.index);
+            }
+        }
+
+        /** Cached content width of a column (0 until the bodies are resolved). */
+        _contentWidth(index) {
+            if (!this._contentWidths) {
+                if (!this.tbodies.some(tb => this._bodyGrids.has(tb))) return 0;
+                this._contentWidths = this._measureContentWidths();
+            }
+            return this._contentWidths.get(index) || 0;
+        }
+
+        /**
+         * Max-content widths per column from an offscreen clone of the leaf headers and a sample
+         * of body cells (spanning cells skipped). Each cell is measured on its own, then the
+         * configured percentile of the body widths is taken, floored at the header width.
+         * @returns {Map<number, number>}
+         */
+        _measureContentWidths() {
+            const rows = this.tbodies.flatMap(tb => (this._bodyGrids.get(tb) || { rows: [] }).rows);
+            const limit = Math.max(1, Number(this.options.measureSample) || rows.length || 1);
+            const step = Math.max(1, Math.ceil(rows.length / limit));
+            const sample = rows.filter((_, i) => i % step === 0);
+
+            // Offscreen probe next to the table so fonts and scoped styles still apply
+            const host = createEl("div");
+            host.setAttribute("aria-hidden", "true");
+            host.style.cssText = "position:absolute;inset-inline-start:-99999px;top:0;visibility:hidden;"; // off the start side: no scroll area in RTL pages
+            const probe = createEl("table", this.table.className);
+            probe.style.cssText = "display:block;width:auto;";
+            const probeBody = document.createElement("tbody");
+            probeBody.style.display = "block";
+            probe.appendChild(probeBody);
+            host.appendChild(probe);
+            (this.table.parentNode || document.body).appendChild(host);
+
+            /** @type {{index:number, cell:HTMLElement, body:boolean}[]} */
+            const jobs = [];
+            for (const col of this.columnsMeta) {
+                if (col.index === 0) continue;
+                if ((col.th.colSpan || 1) === 1) jobs.push({ index: col.index, cell: this._probeClone(col.th), body: false });
+            }
+            for (const row of sample) {
+                const slots = this._cellsOf(row);
+                for (const col of this.columnsMeta) {
+                    const cell = slots[col.index];
+                    if (col.index === 0 || !cell || this._colSpanOf(cell) !== 1) continue;
+                    jobs.push({ index: col.index, cell: this._probeClone(cell), body: true });
+                }
+            }
+            for (const job of jobs) {
+                const tr = document.createElement("tr");
+                tr.style.display = "block";
+                tr.appendChild(job.cell);
+                probeBody.appendChild(tr);
+            }
+
+            /** @type {Map<number, {head:number, body:number[]}>} */
+            const widths = new Map();
+            for (const job of jobs) {
+                const w = Math.ceil(job.cell.getBoundingClientRect().width || job.cell.offsetWidth || 0);
+                const entry = widths.get(job.index) || { head: 0, body: [] };
+                if (job.body) entry.body.push(w);
+                else entry.head = w;
+                widths.set(job.index, entry);
+            }
+            host.remove();
+
+            const out = new Map();
+            const p = Number(this.options.measurePercentile);
+            widths.forEach((entry, index) => {
+                out.set(index, Math.max(entry.head, percentile(entry.body, Number.isFinite(p) ? p : 100)));
+            });
+            return out;
+        }
+
+        /**
+         * Detached, unwrapped copy of a cell for width probing (no ids, spans or hide class).
+         * Its controls are cut loose from forms: a checked radio copy would join (and uncheck) the
+         * cell's group, and named copies would be in the form's data while the probe is in the page.
+         */
+        _probeClone(cell) {
+            const clone = /** @type {HTMLElement} */ (cell.cloneNode(true));
+            const moved = this._movedCells.get(cell);
+            if (moved) moved.childNodes.forEach(node => clone.appendChild(node.cloneNode(true)));
+            clone.removeAttribute("id");
+            clone.querySelectorAll("[id]").forEach(n => n.removeAttribute("id"));
+            clone.querySelectorAll("input, select, textarea, button").forEach(control => {
+                control.removeAttribute("name");
+                control.removeAttribute("form");
+                control.removeAttribute("checked");
+                if ("checked" in control) /** @type {HTMLInputElement} */ (control).checked = false;
+            });
+            clone.classList.remove(this.options.classNames.hide);
+            clone.removeAttribute("colspan");
+            clone.removeAttribute("rowspan");
+            clone.style.display = "inline-block";
+            clone.style.whiteSpace = "nowrap";
+            clone.style.width = "auto";
+            return clone;
+        }
+
+        /** TBODY rows added/removed: re-mount, drop cached content widths, refit. */
+        _onBodyMutated(tbody, mutations) {
+            if (mutations && mutations.every(m => this._isOwnRowMutation(m))) return;
+            this._mountRowsInBody(tbody);
+            if (this.options.measure === "content") {
+                this._contentWidths = null;
+                this._measureColumns();
+            }
+            this._refit();
+        }
+
+        /** True when a mutation only added/removed our details or spacer rows. */
+        _isOwnRowMutation(m) {
+            const own = (n) => n.nodeType === 1 && (n.classList.contains(this.options.classNames.details) || n.classList.contains(this.options.classNames.spacer));
+            return Array.from(m.addedNodes).every(own) && Array.from(m.removedNodes).every(own);
+        }
+
+        /** Data rows of a TBODY in order; all of them when virtualized, rendered or not. */
+        _dataRowsOf(tbody) {
+            const v = this._virtual.get(tbody);
+            if (v) return v.rows;
+            return Array.from(tbody.rows).filter(r => !r.classList.contains(this.options.classNames.details));
+        }
+
         _mountAllBodies() {
             for (const tb of this.tbodies) this._mountRowsInBody(tb);
 
             // Event delegation (click + keyboard)
             this._clickHandler = (e) => {
                 const target = /** @type {Element} */ (e.target);
+                const sortCol = this._sortColumnOf(target);
+                if (sortCol) {
+                    e.preventDefault();
+                    this.sort(sortCol.index);
+                    const sortBtn = target.closest(`[${CTBL_SORT_ATTR}]`);
+                    if (sortBtn && sortBtn.focus) sortBtn.focus(); // its row just moved
+                    return;
+                }
                 const btn = target && target.closest && target.closest(this._toggleSelector);
                 if (!btn || !this.table.contains(btn)) return;
                 e.preventDefault();
@@ -458,7 +1724,15 @@
                 this.toggle(row);
             };
             this._keyHandler = (e) => {
+                if (this._kbTabIndex && this._onGridKey(e)) return;
                 const target = /** @type {Element} */ (e.target);
+                // Focused sortable header (buttons turn Enter/Space into clicks themselves)
+                if ((e.key === "Enter" || e.key === " ") && this._sortHeaders.has(/** @type {any} */ (target))) {
+                    e.preventDefault();
+                    const col = this._sortColumnOf(target);
+                    if (col) this.sort(col.index);
+                    return;
+                }
                 const btn = target && target.closest && target.closest(this._toggleSelector);
                 if (!btn || !this.table.contains(btn)) return;
                 if (e.key === "Enter" || e.key === " ") {
@@ -470,12 +1744,20 @@
             };
             this.table.addEventListener("click", this._clickHandler);
             this.table.addEventListener("keydown", this._keyHandler);
+
+            // Form controls: panels bound to their cells (`liveDetails`, `editable`) and `cellchange`
+            this._inputHandler = (e) => this._onLiveInput(e);
+            this.table.addEventListener("input", this._inputHandler);
+            this.table.addEventListener("change", this._inputHandler);
         }
 
         _mountRowsInBody(tbody) {
-            const dataRows = Array.from(tbody.rows).filter(
-                r => !r.classList.contains(this.options.classNames.details)
-            );
+            if (this._virtual.has(tbody)) {
+                this._syncVirtualModel(tbody);
+            } else if (this.options.virtualize && tbody.rows.length >= (Number(this.options.virtualThreshold) || 0)) {
+                this._virtualize(tbody);
+            }
+            const dataRows = this._dataRowsOf(tbody);
 
             for (const row of dataRows) {
                 // 1) Ensure a control cell exists at index 0 for dynamically-added rows
@@ -490,44 +1772,352 @@
                 if (!this._rowKeyMap.has(row)) {
                     const key = row.getAttribute("data-ctbl-key") || String(++this._rowKeySeq);
                     this._rowKeyMap.set(row, key);
+                    // Pre-rendered markup: rows rendered expanded stay open
+                    const rendered = first && !needsControlCell && first.querySelector(this._toggleSelector);
+                    if (rendered && rendered.getAttribute("aria-expanded") === "true") this._expandedKeys.add(key);
                 }
 
                 // 3) Toggle button inside the control cell
                 const ctrlCell = row.cells[0];
                 if (!ctrlCell.querySelector(this._toggleSelector)) {
-                    const id = this._detailsIdForRow(row);
                     const btn = createEl("button", this.options.classNames.toggle);
                     btn.type = "button";
-                    btn.setAttribute("aria-expanded", "false");
-                    btn.setAttribute("aria-controls", id);
+                    btn.setAttribute("aria-expanded", "false"); // aria-controls is set with the details row
                     btn.setAttribute("title", this.options.strings.toggleTitle);
                     btn.setAttribute("aria-label", this.options.strings.toggleTitle);
-                    btn.innerHTML = this.options.icons.expand + `<span class="ctbl-vh">${this.options.strings.toggleTitle}</span>`;
+                    this._setHtml(btn, this.options.icons.expand + `<span class="ctbl-vh">${this.options.strings.toggleTitle}</span>`);
                     ctrlCell.appendChild(btn);
                 }
 
-                // 4) Ensure the details row exists & has correct colspan
-                const next = row.nextElementSibling;
-                if (!(next && next.classList && next.classList.contains(this.options.classNames.details))) {
-                    const detailsRow = createEl("tr", this.options.classNames.details);
+            }
+
+            // 4) Resolve body spans into a logical grid; rows whose cells moved or changed span
+            //    are synced again on the next refit
+            const prev = this._bodyGrids.get(tbody);
+            const stylesheet = this.options.hideMode === "stylesheet";
+            const grid = buildGrid(dataRows, (cell) => this._colSpanOf(cell));
+            this._bodyGrids.set(tbody, grid);
+            grid.rows.forEach((row, r) => {
+                const slots = grid.slots[r];
+                this._rowSlots.set(row, slots);
+                this._rowGrids.set(row, grid);
+                const moved = !prev || slots.some(cell => {
+                    const before = cell && prev.cells.get(cell);
+                    const now = cell && grid.cells.get(cell);
+                    return cell && (!before || before.col !== now.col || before.colSpan !== now.colSpan);
+                });
+                if (moved) this._rowSynced.delete(row);
+
+                // Rows with spanning cells are left out of the stylesheet rules (hidden per cell)
+                const spanned = slots.some(cell => {
+                    const info = cell && grid.cells.get(cell);
+                    return info && (info.colSpan > 1 || info.rowSpan > 1);
+                });
+                if (spanned) this._spannedRows.add(row);
+                else this._spannedRows.delete(row);
+                if (stylesheet && row.classList.contains(this.options.classNames.spanned) !== spanned) {
+                    row.classList.toggle(this.options.classNames.spanned, spanned);
+                    this._rowSynced.delete(row);
+                }
+            });
+
+            // 5) Details rows (created on first expand) follow the last row of their rowspan
+            //    block, so spanning cells never stretch across a details row
+            for (const [start, end] of rowBlocks(grid)) this._placeDetailsRows(dataRows, start, end);
+
+            // 6) Drop details rows whose data row has left this TBODY
+            const present = new Set(dataRows);
+            for (const tr of Array.from(tbody.rows)) {
+                if (!tr.classList.contains(this.options.classNames.details)) continue;
+                const owner = this._detailsOwners.get(tr);
+                if (owner && !present.has(owner)) {
+                    this._unmountDetails(tr);
+                    this._restoreCellContent(tr); // the row may come back
+                    this._unwatchDetails(tr);
+                    tr.remove();
+                }
+            }
+
+            // 7) Re-open rows remembered as expanded (persisted state, replaced TBODY rows)
+            for (const row of dataRows) {
+                if (this._expandedKeys.has(this._rowKeyMap.get(row))) this._restoreRowState(row);
+            }
+
+            // 8) Keep an active filter applied to new rows
+            if (this._filter) this._applyFilter(tbody, false);
+
+            // 9) Mark highlight matches in new rows
+            if (this._highlight) {
+                for (const row of dataRows) {
+                    if (this._highlighted.get(row) !== this._highlight) this._highlightRow(row);
+                }
+            }
+
+            // 10) Keyboard mode: roles, row indexes and tab stops of new / moved rows
+            if (this._kbTabIndex) this._syncGridRows();
+        }
+
+        /** Put the existing details rows of one rowspan block after its last row, in row order. */
+        _placeDetailsRows(rows, start, end) {
+            let anchor = rows[end];
+            if (!anchor.parentNode) return; // virtualized and not rendered: placed when rendered
+            for (let r = start; r <= end; r++) {
+                const detailsRow = this._detailsRowOf(rows[r]) || (this._authoredDetailsRow(rows[r]) ? this._ensureDetailsRow(rows[r]) : null);
+                if (!detailsRow) continue;
+                if (anchor.nextElementSibling !== detailsRow) anchor.insertAdjacentElement("afterend", detailsRow);
+                anchor = detailsRow;
+            }
+        }
+
+        /** Details row for a data row (created on first use) with a colspan covering every column. */
+        _ensureDetailsRow(row) {
+            let detailsRow = this._detailsRows.get(row);
+            if (!detailsRow) {
+                detailsRow = this._authoredDetailsRow(row);
+                if (detailsRow) {
+                    if (!detailsRow.id) detailsRow.id = this._detailsIdForRow(row);
+                    if (!detailsRow.hidden) this._adoptedPanels.add(detailsRow);
+                } else {
+                    detailsRow = createEl("tr", this.options.classNames.details);
                     detailsRow.classList.add("ctbl-details-row");
                     detailsRow.setAttribute("hidden", "");
                     const td = document.createElement("td");
-                    td.colSpan = this.headerRow.cells.length;
                     const wrap = createEl("div", this.options.classNames.detailsInner);
                     wrap.setAttribute("role", "region");
                     wrap.setAttribute("aria-live", "polite");
                     td.appendChild(wrap);
                     detailsRow.appendChild(td);
                     detailsRow.id = this._detailsIdForRow(row);
-                    row.insertAdjacentElement("afterend", detailsRow);
-                } else {
-                    const cell = next.cells && next.cells[0];
-                    if (cell && cell.colSpan !== this.headerRow.cells.length) {
-                        cell.colSpan = this.headerRow.cells.length;
+                }
+                this._detailsRows.set(row, detailsRow);
+                this._detailsOwners.set(detailsRow, row);
+                const btn = row.querySelector(this._toggleSelector);
+                if (btn) btn.setAttribute("aria-controls", detailsRow.id || this._detailsIdForRow(row));
+                if (row.classList.contains(this.options.classNames.filtered)) detailsRow.classList.add(this.options.classNames.filtered);
+                if (this._kbTabIndex) {
+                    detailsRow.setAttribute("role", "row");
+                    detailsRow.setAttribute("aria-level", "2");
+                }
+            }
+            const cell = detailsRow.cells && detailsRow.cells[0];
+            if (cell && cell.colSpan !== this.columnCount) cell.colSpan = this.columnCount;
+            return detailsRow;
+        }
+
+        _detailsRowOf(row) {
+            return this._detailsRows.get(row) || null;
+        }
+
+        /**
+         * Details row authored for a data row and not adopted yet: the one its toggle's
+         * `aria-controls` names (pre-rendered rowspan blocks), else the row right after it.
+         */
+        _authoredDetailsRow(row) {
+            const cls = this.options.classNames.details;
+            const adoptable = (tr) => tr && tr.parentNode === row.parentNode && tr.classList && tr.classList.contains(cls) && !this._detailsOwners.has(tr);
+            const btn = row.cells[0] && row.cells[0].querySelector(this._toggleSelector);
+            const id = btn && btn.getAttribute("aria-controls");
+            const byId = id ? document.getElementById(id) : null;
+            if (adoptable(byId)) return /** @type {HTMLTableRowElement} */(byId);
+            const next = row.nextElementSibling;
+            return adoptable(next) ? /** @type {HTMLTableRowElement} */(next) : null;
+        }
+
+        /** Details row for a data row, created and placed after its rowspan block on first use. */
+        _detailsRowFor(row) {
+            const existing = this._detailsRowOf(row);
+            if (existing) return existing;
+            const detailsRow = this._ensureDetailsRow(row);
+            const grid = this._rowGrids.get(row);
+            const r = grid ? grid.rows.indexOf(row) : -1;
+            const block = r === -1 ? null : rowBlocks(grid).find(([start, end]) => start <= r && r <= end);
+            if (block) this._placeDetailsRows(grid.rows, block[0], block[1]);
+            else if (row.parentNode) row.insertAdjacentElement("afterend", detailsRow);
+            return detailsRow;
+        }
+
+        /**
+         * Virtualize a large TBODY: its data rows move into a row model, and only a window of them
+         * (plus their details rows) stays rendered between two spacer rows sized like the rest.
+         */
+        _virtualize(tbody) {
+            const rows = Array.from(tbody.rows).filter(r => !r.classList.contains(this.options.classNames.details));
+            const top = this._spacerRow();
+            const bottom = this._spacerRow();
+            tbody.insertBefore(top, tbody.firstChild);
+            tbody.appendChild(bottom);
+            // Keep a first screenful rendered; the first refit renders the real window
+            const keep = Math.max(1, (Number(this.options.virtualOverscan) || 0) * 3);
+            for (const row of rows.slice(keep)) {
+                const details = this._detailsRowOf(row);
+                row.remove();
+                if (details) details.remove();
+            }
+            this._virtual.set(tbody, { rows, attached: rows.slice(0, keep), top, bottom, avg: 0 });
+
+            if (!this._onVirtualScroll) {
+                this._scrollParent = this._findScrollParent();
+                let pending = false;
+                this._onVirtualScroll = () => {
+                    if (pending || this._destroyed) return;
+                    pending = true;
+                    raf(() => {
+                        pending = false;
+                        this._renderVirtualWindows();
+                    });
+                };
+                (this._scrollParent || window).addEventListener("scroll", this._onVirtualScroll, { passive: true });
+            }
+        }
+
+        _spacerRow() {
+            const tr = createEl("tr", this.options.classNames.spacer);
+            tr.setAttribute("aria-hidden", "true");
+            const td = document.createElement("td");
+            td.colSpan = this.columnCount || 1;
+            tr.appendChild(td);
+            return tr;
+        }
+
+        /** Closest scrolling ancestor of the table, or null for the window. */
+        _findScrollParent() {
+            for (let el = this.table.parentElement; el && el !== document.body && el !== document.documentElement; el = el.parentElement) {
+                const overflow = getComputedStyle(el).overflowY;
+                if (overflow === "auto" || overflow === "scroll" || overflow === "overlay") return el;
+            }
+            return null;
+        }
+
+        /** Visible vertical range in client coordinates (scroll parent or window). */
+        _scrollViewport() {
+            if (this._scrollParent === undefined) this._scrollParent = this._findScrollParent();
+            if (this._scrollParent) {
+                const rect = this._scrollParent.getBoundingClientRect();
+                return { top: rect.top, bottom: rect.bottom };
+            }
+            return { top: 0, bottom: window.innerHeight || document.documentElement.clientHeight };
+        }
+
+        /**
+         * Fold DOM changes made by others into a virtualized TBODY's model: rendered rows removed
+         * leave it, inserted rows join after the closest model row above them. A replaced body
+         * (spacers gone) is taken as a fresh, non-virtualized one.
+         */
+        _syncVirtualModel(tbody) {
+            const v = this._virtual.get(tbody);
+            if (!v) return;
+            if (v.top.parentNode !== tbody || v.bottom.parentNode !== tbody) {
+                v.top.remove();
+                v.bottom.remove();
+                this._virtual.delete(tbody);
+                return;
+            }
+            const gone = new Set(v.attached.filter(row => row.parentNode !== tbody));
+            if (gone.size) {
+                v.rows = v.rows.filter(row => !gone.has(row));
+                v.attached = v.attached.filter(row => !gone.has(row));
+            }
+            const known = new Set(v.rows);
+            for (const tr of Array.from(tbody.rows)) {
+                if (tr === v.top || tr === v.bottom || known.has(tr) || tr.classList.contains(this.options.classNames.details)) continue;
+                let at = 0;
+                for (let prev = tr.previousElementSibling; prev; prev = prev.previousElementSibling) {
+                    if (prev === v.bottom) { at = v.rows.length; break; }
+                    if (prev === v.top) { at = v.attached.length ? v.rows.indexOf(v.attached[0]) : 0; break; }
+                    if (known.has(prev)) { at = v.rows.indexOf(prev) + 1; break; }
+                }
+                v.rows.splice(at, 0, tr);
+                v.attached.push(tr);
+                known.add(tr);
+            }
+        }
+
+        _renderVirtualWindows(force = false) {
+            this._virtual.forEach((_, tb) => this._renderVirtualWindow(tb, force));
+        }
+
+        /**
+         * Render the rows of a virtualized TBODY that are in or near the visible range. Heights of
+         * rows never rendered are estimated from the ones that were; filtered-out rows take none.
+         */
+        _renderVirtualWindow(tbody, force = false) {
+            const v = this._virtual.get(tbody);
+            if (!v || this._destroyed) return;
+            const observer = this._tbodyObservers && this._tbodyObservers[this.tbodies.indexOf(tbody)];
+            if (observer && observer.takeRecords && observer.takeRecords().length) this._mountRowsInBody(tbody); // others' changes first
+            if (!this._virtual.has(tbody)) return; // body was replaced
+
+            const rows = v.rows;
+            const grid = this._bodyGrids.get(tbody);
+            const filtered = this.options.classNames.filtered;
+            const avg = v.avg || 40;
+            const heightOf = (row) => (row.classList.contains(filtered) ? 0 : (this._rowHeights.get(row) || avg));
+
+            // Visible range in rows, from the top of the body's content
+            const view = this._scrollViewport();
+            const origin = v.top.getBoundingClientRect().top;
+            const from = view.top - origin;
+            const to = view.bottom - origin;
+            let start = 0;
+            let y = 0;
+            while (start < rows.length && y + heightOf(rows[start]) <= from) y += heightOf(rows[start++]);
+            let end = start;
+            while (end < rows.length - 1 && y + heightOf(rows[end]) < to) y += heightOf(rows[end++]);
+
+            // Overscan, then widen to whole rowspan blocks
+            const overscan = Math.max(0, Number(this.options.virtualOverscan) || 0);
+            start = Math.max(0, start - overscan);
+            end = Math.min(rows.length - 1, end + overscan);
+            for (const [bs, be] of grid ? rowBlocks(grid) : []) {
+                if (bs <= start && start <= be) start = bs;
+                if (bs <= end && end <= be) end = be;
+            }
+            const windowRows = rows.slice(start, end + 1);
+            const unchanged = windowRows.length === v.attached.length && windowRows.every((row, i) => row === v.attached[i]);
+
+            if (force || !unchanged) {
+                for (const row of v.attached) {
+                    const details = this._detailsRowOf(row);
+                    row.remove();
+                    if (details) details.remove();
+                }
+                const state = this._rowState;
+                const frag = document.createDocumentFragment();
+                for (const row of windowRows) {
+                    if (state && this._rowSynced.get(row) !== state.key) this._syncRow(row);
+                    frag.appendChild(row);
+                }
+                v.bottom.parentNode.insertBefore(frag, v.bottom);
+                v.attached = windowRows;
+                if (grid) {
+                    for (const [bs, be] of rowBlocks(grid)) {
+                        if (be >= start && bs <= end) this._placeDetailsRows(rows, bs, be);
                     }
                 }
             }
+
+            // Measure what is rendered; size the spacers for the rest
+            let measured = 0;
+            let total = 0;
+            for (const row of v.attached) {
+                if (row.classList.contains(filtered)) continue;
+                const details = this._detailsRowOf(row);
+                const h = row.offsetHeight + (details && !details.hidden ? details.offsetHeight : 0);
+                if (h > 0) {
+                    this._rowHeights.set(row, h);
+                    measured++;
+                    total += h;
+                }
+            }
+            if (measured) v.avg = total / measured;
+            let above = 0;
+            let below = 0;
+            for (let i = 0; i < start; i++) above += heightOf(rows[i]);
+            for (let i = end + 1; i < rows.length; i++) below += heightOf(rows[i]);
+            v.top.cells[0].style.height = `${Math.round(above)}px`;
+            v.bottom.cells[0].style.height = `${Math.round(below)}px`;
+
+            if (observer && observer.takeRecords) observer.takeRecords(); // our own row moves
         }
 
 
@@ -543,12 +2133,13 @@
                 });
                 this._resizeObserver.observe(this.wrapper);
                 if (this.wrapper !== this.table) this._resizeObserver.observe(this.table);
-                // Observe header row for width-affecting changes
+                // Observe header rows for width-affecting changes
                 this._headerResizeObserver = new RO(() => {
                     if (this._destroyed) return;
-                    raf(() => this.refresh());
+                    raf(() => this._remeasure());
                 });
-                this._headerResizeObserver.observe(this.headerRow);
+                this._headerResizeObserver.observe(this.thead);
+                this._syncViewportListener();
             } else {
                 // Fallback: window resize (throttled)
                 this._onWinResize = throttle(() => {
@@ -576,10 +2167,7 @@
             if (MO) {
                 // TBODY changes (rows added/removed)
                 this._tbodyObservers = this.tbodies.map(tb => {
-                    const m = new MO(() => {
-                        this._mountRowsInBody(tb);
-                        this._refit();
-                    });
+                    const m = new MO((mutations) => this._onBodyMutated(tb, mutations));
                     m.observe(tb, { childList: true, subtree: false });
                     return m;
                 });
@@ -588,16 +2176,17 @@
                 this._theadObserver = new MO((mutations) => {
                     let mustRebuild = false;
                     for (const m of mutations) {
-                        if (m.type === "childList" || (m.type === "attributes" && (m.target.tagName === "TH" || m.target === this.headerRow))) {
+                        if (this._colMenu && this._colMenu.root.contains(m.target)) continue; // our column chooser
+                        if (m.type === "childList" || (m.type === "attributes" && (m.target.tagName === "TH" || m.target.tagName === "TR"))) {
                             mustRebuild = true;
                             break;
                         }
                     }
                     if (mustRebuild) {
-                        this.headerRow = this.thead.rows[0];
-                        this.headers = Array.from(this.headerRow.cells);
+                        this._contentWidths = null;
                         this._buildColumns();
-                        this._mountAllBodies();
+                        this.tbodies.forEach(tb => this._mountRowsInBody(tb));
+                        if (this._resizeObserver) this._syncViewportListener();
                         this._refit();
                     }
                 });
@@ -605,7 +2194,10 @@
                     childList: true,
                     subtree: true,
                     attributes: true,
-                    attributeFilter: [this.options.attrs.priority, this.options.attrs.min, this.options.attrs.label]
+                    attributeFilter: [
+                        this.options.attrs.priority, this.options.attrs.min, this.options.attrs.label,
+                        this.options.attrs.hideBelow, this.options.attrs.hideAbove, this.options.attrs.sort
+                    ]
                 });
 
                 // TABLE-level changes: TBODY add/remove
@@ -627,15 +2219,14 @@
                         // Refresh tbodies list and re-observe
                         this.tbodies = Array.from(this.table.tBodies || []);
                         this._tbodyObservers = this.tbodies.map(tb => {
-                            const m = new MO(() => {
-                                this._mountRowsInBody(tb);
-                                this._refit();
-                            });
+                            const m = new MO((mutations) => this._onBodyMutated(tb, mutations));
                             m.observe(tb, { childList: true, subtree: false });
                             return m;
                         });
                         // Mount rows in any new tbodies
                         this.tbodies.forEach(tb => this._mountRowsInBody(tb));
+                        this._contentWidths = null;
+                        if (this.options.measure === "content") this._measureColumns();
                         this._refit();
                     }
                 });
@@ -643,61 +2234,117 @@
             }
         }
 
+        /**
+         * Viewport breakpoints can flip without the wrapper resizing (fixed-width containers),
+         * so listen to the window while any column has a breakpoint rule.
+         */
+        _syncViewportListener() {
+            const needed = this.options.breakpointWidth !== "container" &&
+                this.columnsMeta.some(c => c.hideBelow || c.hideAbove);
+            if (needed && !this._onViewportResize) {
+                this._onViewportResize = throttle(() => {
+                    if (this._destroyed) return;
+                    this._refit();
+                }, 100);
+                window.addEventListener("resize", this._onViewportResize);
+            } else if (!needed && this._onViewportResize) {
+                window.removeEventListener("resize", this._onViewportResize);
+                this._onViewportResize = null;
+            }
+        }
+
         _detailsIdForRow(row) {
             const key = this._rowKeyMap.get(row) || "x";
             const base = this.table.id ? this.table.id : `ctbl-${this._uid}`;
             return `${base}-row-${key}-details`;
         }
 
+        /** Width available to the table: the wrapper's content box (padding, borders and scrollbar excluded). */
         _availableWidth() {
-            const w = this.wrapper && this.wrapper.clientWidth ? this.wrapper.clientWidth
+            const w = this.wrapper && this.wrapper !== this.table && this.wrapper.clientWidth ? contentWidth(this.wrapper)
                 : this.table && this.table.clientWidth ? this.table.clientWidth
-                    : (typeof window !== "undefined" ? window.innerWidth : 0);
+                    : viewportWidth();
             const visible = isVisible(this.wrapper) && isVisible(this.table);
             if (!visible && this.options.deferWhenHidden) {
                 // Defer precise refit until visible; use viewport to avoid collapsing everything.
-                return (typeof window !== "undefined" ? window.innerWidth : 1024) || 1024;
+                return viewportWidth();
             }
-            return w > 0 ? w : ((typeof window !== "undefined" ? window.innerWidth : 1024) || 1024);
+            return w > 0 ? w : viewportWidth();
+        }
+
+        /**
+         * Horizontal space the table itself consumes besides column widths: its borders plus
+         * border-spacing, which is paid once per visible column and once more at the end.
+         * @returns {{spacing:number, fixed:number}} Per-column spacing and fixed overhead (px).
+         */
+        _tableChrome() {
+            const cs = window.getComputedStyle(this.table);
+            const separate = cs.borderCollapse !== "collapse";
+            const spacing = separate ? (parseFloat(cs.borderSpacing) || 0) : 0; // "x y" -> x
+            const borders = (parseFloat(cs.borderLeftWidth) || 0) + (parseFloat(cs.borderRightWidth) || 0);
+            return { spacing, fixed: (separate ? borders : borders / 2) + spacing };
         }
 
         _syncDetailsColspan() {
-            // Keep details colSpan in sync with header cells length
-            const span = this.headerRow.cells.length;
+            // Keep details (and spacer) colSpan in sync with the logical column count
+            const span = this.columnCount;
+            if (this._detailsColSpan === span) return; // new details rows get it on creation
+            this._detailsColSpan = span;
             for (const tb of this.tbodies) {
                 for (const row of Array.from(tb.rows)) {
-                    if (!row.classList.contains(this.options.classNames.details)) continue;
+                    if (!row.classList.contains(this.options.classNames.details) && !row.classList.contains(this.options.classNames.spacer)) continue;
                     const cell0 = row.cells && row.cells[0];
                     if (cell0 && cell0.colSpan !== span) cell0.colSpan = span;
                 }
+                this._dataRowsOf(tb).forEach(row => {
+                    const details = this._detailsRowOf(row); // not rendered (virtualized)
+                    if (details && !details.parentNode && details.cells[0]) details.cells[0].colSpan = span;
+                });
             }
         }
 
+        /** Header cells now; body cells are synced per row with the controls (`_syncRows`). */
         _applyVisibility(hiddenSet) {
-            // Header
-            for (const col of this.columnsMeta) {
-                const hide = hiddenSet.has(col.index);
-                col.th.classList.toggle(this.options.classNames.hide, hide);
-            }
-            // Bodies
-            for (const tb of this.tbodies) {
-                for (const row of Array.from(tb.rows)) {
-                    if (row.classList.contains(this.options.classNames.details)) continue;
-                    for (const col of this.columnsMeta) {
-                        const td = row.cells[col.index];
-                        if (td) td.classList.toggle(this.options.classNames.hide, hiddenSet.has(col.index));
-                    }
-                }
-            }
+            // Header (every header row)
+            this._applyGridVisibility(this._headGrid, hiddenSet);
             // Keep details cells spanning the correct number of columns
             this._syncDetailsColspan();
         }
 
+        /**
+         * Hide cells whose columns are all hidden; shrink the colspan of cells that only lose some.
+         * The control column is left to `_updateTogglesVisibility`.
+         */
+        _applyGridVisibility(grid, hiddenSet) {
+            grid.cells.forEach((info, cell) => this._applyCellVisibility(cell, info, hiddenSet));
+        }
+
+        _applyCellVisibility(cell, info, hiddenSet) {
+            if (info.col === 0) return;
+            let visible = 0;
+            for (let x = info.col; x < info.col + info.colSpan; x++) {
+                if (!hiddenSet.has(x)) visible++;
+            }
+            cell.classList.toggle(this.options.classNames.hide, visible === 0);
+            const span = Math.max(visible, 1);
+            if (cell.colSpan !== span) cell.colSpan = span;
+        }
+
+        /** Undo `_applyGridVisibility`: unhide cells and restore authored colspans. */
+        _restoreGrid(grid) {
+            grid.cells.forEach((info, cell) => {
+                cell.classList.remove(this.options.classNames.hide);
+                if (cell.colSpan !== info.colSpan) cell.colSpan = info.colSpan;
+                cell.removeAttribute(CTBL_COLSPAN_ATTR);
+            });
+        }
+
         _firstVisibleCellText(row, hiddenSet) {
+            const cells = this._cellsOf(row);
             for (const col of this.columnsMeta) {
                 if (col.index === 0) continue;
                 if (!hiddenSet.has(col.index)) {
-                    const td = row.cells[col.index];
+                    const td = cells[col.index];
                     if (td) {
                         const txt = (td.textContent || "").trim();
                         if (txt) return txt;
@@ -710,139 +2357,1186 @@
         _renderDetailsForRow(row, detailsRow, hiddenSet) {
             const wrap = detailsRow.querySelector("." + this.options.classNames.detailsInner);
             if (!wrap) return;
-            wrap.innerHTML = "";
+            // Mounted framework content is removed by its cleanup (maybe asynchronously), not here
+            const mounted = this._detailsMounted.has(detailsRow);
+            this._unmountDetails(detailsRow);
+            this._restoreCellContent(detailsRow);
+            this._unwatchDetails(detailsRow);
+            if (!mounted) wrap.textContent = "";
 
             // Accessible label for region
             const primary = this._firstVisibleCellText(row, hiddenSet);
             if (primary) {
-                wrap.setAttribute("aria-label", `Details for ${primary}`);
+                wrap.setAttribute("aria-label", this._text("detailsFor", { label: primary }));
             } else {
-                wrap.setAttribute("aria-label", "Row details");
+                wrap.setAttribute("aria-label", this._text("rowDetails"));
             }
 
-            const cells = Array.from(row.cells);
+            const cells = this._cellsOf(row);
+            const hiddenCols = this.columnsMeta.filter(c => hiddenSet.has(c.index) && c.index !== 0);
+
+            // Framework mount hook: the panel is left to the framework (not marked by highlight())
+            if (typeof this.options.detailsMount === "function") {
+                this._detailsMounted.set(detailsRow, this.options.detailsMount(wrap, row, hiddenCols, cells) || null);
+                return;
+            }
 
             // Custom renderer hook
             if (typeof this.options.detailsRender === "function") {
-                const hiddenCols = this.columnsMeta.filter(c => hiddenSet.has(c.index) && c.index !== 0);
                 const result = this.options.detailsRender(row, hiddenCols, cells);
-                if (result instanceof Node) {
-                    wrap.appendChild(result);
-                    return;
-                }
-                if (typeof result === "string") {
-                    wrap.innerHTML = result;
+                if (result instanceof Node || typeof result === "string") {
+                    if (result instanceof Node) wrap.appendChild(result);
+                    else this._setHtml(wrap, result, true);
+                    this._highlightDetails(wrap);
+                    this._watchDetails(detailsRow, new Map(hiddenCols.filter(c => cells[c.index]).map(c => [cells[c.index], null])));
                     return;
                 }
                 // Fall through to default if returned nothing
             }
 
-            // Default "name: value" list
+            // Default "name: value" list; a cell spanning several hidden columns is listed once,
+            // and a cell still visible through one of its columns is not listed at all
+            const shown = new Set(this.columnsMeta.filter(c => !hiddenSet.has(c.index)).map(c => cells[c.index]));
+            /** @type {{cell:HTMLTableCellElement|undefined, labels:string[], cols:Object[]}[]} */
+            const entries = [];
             for (const col of this.columnsMeta) {
                 if (col.index === 0) continue;
                 if (!hiddenSet.has(col.index)) continue;
 
-                const label = (col.th.getAttribute(this.options.attrs.label) || col.th.textContent || "").trim();
+                const label = this._columnLabel(col);
+                const cell = cells[col.index];
+                if (cell && shown.has(cell)) continue;
+                const prev = cell && entries.find(e => e.cell === cell);
+                if (prev) {
+                    if (label && prev.labels.indexOf(label) === -1) prev.labels.push(label);
+                    prev.cols.push(col);
+                    continue;
+                }
+                entries.push({ cell, labels: label ? [label] : [], cols: [col] });
+            }
+
+            const listed = new Map();
+            for (const entry of entries) {
                 const item = createEl("div", this.options.classNames.detail);
                 const name = createEl("span", this.options.classNames.name);
                 const value = createEl("span", this.options.classNames.value);
 
-                name.textContent = label ? (label + ": ") : "";
-                value.innerHTML = cells[col.index]?.innerHTML ?? "";
+                name.textContent = entry.labels.length ? (entry.labels.join(this.options.strings.labelJoin) + this.options.strings.labelSeparator) : "";
+                if (entry.cell) this._fillDetailsValue(value, entry.cell, detailsRow);
 
                 item.appendChild(name);
+                // Collapsed sortable column: its header is hidden, so offer sorting here
+                const sortCol = entry.cols.find(c => c.sort);
+                if (sortCol) {
+                    const sortBtn = createEl("button", this.options.classNames.sortButton);
+                    sortBtn.type = "button";
+                    sortBtn.setAttribute(CTBL_SORT_ATTR, String(sortCol.index));
+                    this._syncSortButton(sortBtn, sortCol);
+                    item.appendChild(sortBtn);
+                }
                 item.appendChild(value);
                 wrap.appendChild(item);
+                if (entry.cell) listed.set(entry.cell, value);
+            }
+            this._highlightDetails(wrap);
+            this._watchDetails(detailsRow, listed);
+        }
+
+        /** Fill a details value from a hidden cell, as set by `detailsContent`. */
+        _fillDetailsValue(value, cell, detailsRow) {
+            const mode = this.options.detailsContent;
+            if (mode === "move") {
+                while (cell.firstChild) value.appendChild(cell.firstChild);
+                this._movedCells.set(cell, value);
+                const cells = this._movedContent.get(detailsRow) || [];
+                cells.push(cell);
+                this._movedContent.set(detailsRow, cells);
+                return;
+            }
+            // Filled detached: a named radio copy in the page would join (and uncheck) the cell's group
+            const holder = createEl("span");
+            if (mode === "clone") holder.appendChild(cloneWithUniqueIds(cell, `-ctbl-details`));
+            else if (this.options.trustedTypes && typeof this.options.sanitizeHtml !== "function") {
+                // Nothing to sanitize the HTML with: copy the cell's nodes, no string goes to a sink
+                Array.from(cell.childNodes).forEach(node => holder.appendChild(node.cloneNode(true)));
+            } else this._setHtml(holder, cell.innerHTML, true);
+            // Bound copies: current values, and no names (the cell's controls are the ones a form submits)
+            if (this.options.liveDetails || this.options.editable) {
+                this._controlPairs(holder, cell).forEach(([copy, original]) => {
+                    copy.removeAttribute("name");
+                    copyControlValue(original, copy);
+                });
+            }
+            while (holder.firstChild) value.appendChild(holder.firstChild);
+        }
+
+        /** Form controls of a details value paired with the cell controls they were copied from (by order). */
+        _controlPairs(value, cell) {
+            const originals = cell.querySelectorAll(FORM_CONTROLS);
+            return Array.from(value.querySelectorAll(FORM_CONTROLS))
+                .map((copy, i) => [copy, originals[i]])
+                .filter(pair => pair[1]);
+        }
+
+        /** Put nodes moved into a details panel back into their cells (re-render, collapse, removal, destroy). */
+        _restoreCellContent(detailsRow) {
+            const cells = this._movedContent.get(detailsRow);
+            if (!cells) return;
+            this._movedContent.delete(detailsRow);
+            for (const cell of cells) {
+                const value = this._movedCells.get(cell);
+                this._movedCells.delete(cell);
+                if (value) while (value.firstChild) cell.appendChild(value.firstChild);
+            }
+        }
+
+        /** Cell content root for reading (filter, sort, highlight): the details value while its nodes are moved there. */
+        _contentOf(cell) {
+            return this._movedCells.get(cell) || cell;
+        }
+
+        /**
+         * Live details (`liveDetails`): observe the cells listed in an open panel so later edits reach it.
+         * @param {HTMLTableRowElement} detailsRow
+         * @param {Map<HTMLTableCellElement, HTMLElement|null>} cells Cell -> its details value (null: a `detailsRender` panel, rendered again as a whole).
+         */
+        _watchDetails(detailsRow, cells) {
+            if (!(this.options.liveDetails || this.options.editable) || !cells.size) return;
+            this._liveRows.set(detailsRow, { cells, pending: new Set() });
+            cells.forEach((value, cell) => this._liveCells.set(cell, detailsRow));
+            // Observed right away: an edit in the same task as the expand must reach the panel
+            const observer = this._liveObserverFor();
+            if (observer) cells.forEach((value, cell) => this._observeLive(observer, cell));
+        }
+
+        _unwatchDetails(detailsRow) {
+            const live = this._liveRows.get(detailsRow);
+            if (!live) return;
+            this._liveRows.delete(detailsRow);
+            live.cells.forEach((value, cell) => {
+                if (this._liveCells.get(cell) === detailsRow) this._liveCells.delete(cell);
+            });
+            this._queueLiveSync();
+        }
+
+        /** Drop unwatched cells from the observer once per task (a MutationObserver can't drop a single target). */
+        _queueLiveSync() {
+            if (this._liveSyncQueued) return;
+            this._liveSyncQueued = true;
+            Promise.resolve().then(() => {
+                this._liveSyncQueued = false;
+                this._syncLiveObserver();
+            });
+        }
+
+        _syncLiveObserver() {
+            const observer = this._liveObserver;
+            if (!observer) return;
+            // Edits made before re-targeting still count
+            const records = observer.takeRecords();
+            observer.disconnect();
+            if (records.length) this._onLiveMutations(records);
+            this._liveCells.forEach((detailsRow, cell) => this._observeLive(observer, cell));
+        }
+
+        /** The live details observer (created on first use); null without MutationObserver. */
+        _liveObserverFor() {
+            const MO = typeof window !== "undefined" && window.MutationObserver;
+            if (!MO) return null;
+            if (!this._liveObserver) this._liveObserver = new MO(records => this._onLiveMutations(records));
+            return this._liveObserver;
+        }
+
+        _observeLive(observer, cell) {
+            observer.observe(cell, { childList: true, characterData: true, subtree: true, attributes: true });
+        }
+
+        /** Group mutations by the open panel listing the changed cell. */
+        _onLiveMutations(records) {
+            /** @type {Map<HTMLTableRowElement, Set<HTMLTableCellElement>>} */
+            const changed = new Map();
+            for (const m of records) {
+                // Attributes of the cell itself are the library's (hide class, colspan, stack label)
+                if (m.type === "attributes" && this._liveCells.has(/** @type {any} */ (m.target))) continue;
+                for (let n = /** @type {any} */ (m.target); n && n !== this.table; n = n.parentNode) {
+                    const detailsRow = this._liveCells.get(n);
+                    if (!detailsRow) continue;
+                    if (!changed.has(detailsRow)) changed.set(detailsRow, new Set());
+                    changed.get(detailsRow).add(n);
+                    break;
+                }
+            }
+            changed.forEach((cells, detailsRow) => this._refreshDetails(detailsRow, Array.from(cells)));
+        }
+
+        /**
+         * Bring an open panel up to date with its changed cells: each value is filled again
+         * (a `detailsRender` panel is rendered again). A value holding focus waits until focus leaves it.
+         */
+        _refreshDetails(detailsRow, cells) {
+            const live = this._liveRows.get(detailsRow);
+            const owner = this._detailsOwners.get(detailsRow);
+            const wrap = detailsRow.querySelector("." + this.options.classNames.detailsInner);
+            if (!live || !owner || !wrap) return;
+            const focused = document.activeElement;
+            if (Array.from(live.cells.values()).some(v => !v)) {
+                if (wrap.contains(focused)) this._deferRefresh(detailsRow, wrap, cells);
+                else this._renderDetailsForRow(owner, detailsRow, this._hiddenSet);
+                return;
+            }
+            for (const cell of cells) {
+                const value = live.cells.get(cell);
+                if (!value) continue;
+                if (value.contains(focused)) {
+                    this._deferRefresh(detailsRow, value, [cell]);
+                    continue;
+                }
+                if (this.options.detailsContent === "move") {
+                    // Content written into the emptied cell replaces what was moved out of it
+                    if (!cell.firstChild) continue;
+                    value.textContent = "";
+                    while (cell.firstChild) value.appendChild(cell.firstChild);
+                } else {
+                    value.textContent = "";
+                    this._fillDetailsValue(value, cell, detailsRow);
+                }
+            }
+            this._highlightDetails(wrap);
+        }
+
+        _deferRefresh(detailsRow, el, cells) {
+            const live = this._liveRows.get(detailsRow);
+            const waiting = cells.filter(c => !live.pending.has(c));
+            if (!waiting.length) return;
+            waiting.forEach(c => live.pending.add(c));
+            const onFocusOut = (e) => {
+                if (el.contains(e.relatedTarget)) return;
+                el.removeEventListener("focusout", onFocusOut);
+                // Refresh once focus has moved on (and only if the panel wasn't rendered again meanwhile)
+                Promise.resolve().then(() => {
+                    if (this._liveRows.get(detailsRow) !== live) return;
+                    waiting.forEach(c => live.pending.delete(c));
+                    this._refreshDetails(detailsRow, waiting);
+                });
+            };
+            el.addEventListener("focusout", onFocusOut);
+        }
+
+        /**
+         * Form control edits in data rows and open panels. Bound copies (`copy`/`clone` content with
+         * `liveDetails` or `editable`) pair by order with the cell's controls: a panel edit is copied to
+         * the cell's control, which then fires the same event for the app; a change to the cell's control
+         * is copied back to the panel.
+         */
+        _onLiveInput(e) {
+            const target = /** @type {any} */ (e.target);
+            if (!target || !target.matches || !target.matches(FORM_CONTROLS)) return;
+            const tr = target.closest("tr");
+            const live = tr && this._liveRows.get(tr);
+            if (live) {
+                live.cells.forEach((value, cell) => {
+                    if (!value || !value.contains(target)) return;
+                    // Moved content: these are the cell's own controls
+                    if (this.options.detailsContent === "move") {
+                        this._emitCellChange(e, cell, target);
+                        return;
+                    }
+                    const pairs = this._controlPairs(value, cell);
+                    const pair = pairs.find(p => p[0] === target);
+                    if (!pair) return;
+                    copyControlValue(target, pair[1]);
+                    pair[1].dispatchEvent(new Event(e.type, { bubbles: true }));
+                    // The other copies follow too (radios unchecked by their group, values set by listeners)
+                    pairs.forEach(([copy, original]) => copyControlValue(original, copy));
+                });
+                return;
+            }
+            const cell = target.closest("td, th");
+            if (!cell || cell.parentNode !== tr) return;
+            this._emitCellChange(e, cell, target);
+            const detailsRow = this._liveCells.get(cell);
+            const value = detailsRow && this.options.detailsContent !== "move" && this._liveRows.get(detailsRow).cells.get(cell);
+            const pair = value && this._controlPairs(value, cell).find(p => p[1] === target);
+            if (pair) copyControlValue(target, pair[0]);
+        }
+
+        /** `cellchange` (`editable`) for a committed edit of a form control in a data row's cell. */
+        _emitCellChange(e, cell, control) {
+            const row = cell.parentNode;
+            if (!this.options.editable || e.type !== "change" || !this._rowKeyMap.has(row)) return;
+            this.emit("cellchange", {
+                table: this.table,
+                row,
+                key: this._rowKeyMap.get(row),
+                index: this._cellsOf(row).indexOf(cell),
+                value: controlValue(control),
+                control
+            });
+        }
+
+        /**
+         * Write HTML into an element. `untrusted` strings (details content) go through `sanitizeHtml`;
+         * with `trustedTypes`, strings are wrapped by the library's policy so Trusted Types sinks accept them.
+         * Untrusted strings are never wrapped unsanitized: without `sanitizeHtml` they are written as text.
+         * @param {Element} el
+         * @param {string} html
+         * @param {boolean} [untrusted]
+         */
+        _setHtml(el, html, untrusted = false) {
+            /** @type {any} */
+            let value = html;
+            if (untrusted) {
+                if (typeof this.options.sanitizeHtml === "function") value = this.options.sanitizeHtml(String(html));
+                else if (this.options.trustedTypes) {
+                    oncePerTable(this.table, "sanitize-warn", () => {
+                        if (this._mode === CTBL_MODE_DEV) console.warn("CollapseTable: trustedTypes is on without sanitizeHtml; details HTML is written as text.");
+                    });
+                    el.textContent = String(html);
+                    return;
+                }
+            }
+            if (typeof value === "string" && this.options.trustedTypes) {
+                const policy = trustedTypesPolicy(this.options.trustedTypes === true ? "collapsetable" : String(this.options.trustedTypes));
+                if (policy) value = policy.createHTML(value);
+            }
+            el.innerHTML = value;
+        }
+
+        /** Run the `detailsMount` cleanup of a details row, if it has mounted content. */
+        _unmountDetails(detailsRow) {
+            if (!this._detailsMounted.has(detailsRow)) return;
+            const cleanup = this._detailsMounted.get(detailsRow);
+            this._detailsMounted.delete(detailsRow);
+            if (typeof cleanup === "function") cleanup();
+        }
+
+        _updateTogglesVisibility(anyHidden, hiddenSet) {
+            // Hide/show the entire control column to prevent an empty leading space when no details are available.
+            // The column chooser lives in the control header, so keep the column while it is enabled.
+            const hideControlCol = !anyHidden && !this._colMenu;
+
+            // Header control cell
+            const ctrlTh = this.headerRow && this.headerRow.cells && this.headerRow.cells[0];
+            if (ctrlTh) ctrlTh.classList.toggle(this.options.classNames.hide, hideControlCol);
+
+            // a11y: include hidden count in label
+            const hiddenCount = this.columnsMeta.filter(c => hiddenSet.has(c.index) && c.index !== 0).length;
+            const base = this.options.strings.toggleTitle;
+            const hidden = Array.from(hiddenSet).sort((a, b) => a - b).join(",");
+            const label = anyHidden ? `${base} (${this._text("hiddenCount", { count: hiddenCount })})` : base;
+            this._rowState = {
+                key: `${this._columnsGen}|${this.options.hideMode}|${hideControlCol}|${anyHidden}|${hidden}|${label}`,
+                hidden,
+                hiddenSet,
+                anyHidden,
+                hideControlCol,
+                label
+            };
+            if (this.options.hideMode === "stylesheet") this._syncHideStyles();
+            else this._removeHideStyles();
+            this._syncRows();
+            if (this._kbTabIndex) this._syncRovingTabStop(); // toggles came or went
+        }
+
+        /**
+         * Write `_rowState` as scoped rules (`hideMode: 'stylesheet'`): the control column in every
+         * data row, hidden columns in rows without spanning cells (there `nth-child` = column).
+         */
+        _syncHideStyles() {
+            const { hiddenSet, hideControlCol } = this._rowState;
+            const not = (cls) => ":not(." + String(cls).trim().split(/\s+/).join(".") + ")";
+            const { details, spacer, spanned } = this.options.classNames;
+            const rows = `table[${CTBL_SCOPE_ATTR}="${this._uid}"] > tbody > tr${not(details)}${not(spacer)}`;
+            const selectors = [];
+            if (hideControlCol) selectors.push(`${rows} > :first-child`);
+            Array.from(hiddenSet).sort((a, b) => a - b).forEach(i => {
+                if (i !== 0) selectors.push(`${rows}${not(spanned)} > :nth-child(${i + 1})`);
+            });
+            const css = selectors.length ? `${selectors.join(",\n")} { display: none; }` : "";
+
+            if (!this._styleEl) {
+                this.table.setAttribute(CTBL_SCOPE_ATTR, String(this._uid));
+                this._styleEl = document.createElement("style");
+                this._styleEl.id = `ctbl-hide-${this._uid}`;
+                document.head.appendChild(this._styleEl);
+            }
+            if (this._styleEl.textContent !== css) this._styleEl.textContent = css;
+        }
+
+        _removeHideStyles() {
+            if (!this._styleEl) return;
+            this._styleEl.remove();
+            this._styleEl = null;
+            this.table.removeAttribute(CTBL_SCOPE_ATTR);
+        }
+
+        /**
+         * Bring body rows in line with `_rowState`. Rows near the viewport are synced now, the
+         * rest `refitBatch` rows per animation frame; rows already in sync are skipped, and rows
+         * not rendered (virtualized) are synced when they are rendered.
+         */
+        _syncRows() {
+            const token = this._syncToken = {};
+            const batch = Math.max(1, Number(this.options.refitBatch) || Infinity);
+            /** @type {HTMLTableRowElement[]} */
+            let queue = [];
+            for (const tb of this.tbodies) {
+                const v = this._virtual.get(tb);
+                const grid = this._bodyGrids.get(tb); // rows as of the last mount, no DOM walk
+                const rows = v ? v.attached : (grid ? grid.rows : []);
+                const from = rows.length > batch ? this._nearViewportIndex(tb, rows.length, batch) : 0;
+                queue = queue.concat(from ? rows.slice(from).concat(rows.slice(0, from)) : rows);
+            }
+            let i = 0;
+            const step = () => {
+                if (this._syncToken !== token || this._destroyed) return; // superseded by a newer refit
+                const key = this._rowState.key;
+                for (const end = Math.min(queue.length, i + batch); i < end; i++) {
+                    if (this._rowSynced.get(queue[i]) !== key) this._syncRow(queue[i]);
+                }
+                if (i < queue.length) raf(step);
+            };
+            step();
+        }
+
+        /** Index of the first row to sync in a large TBODY: half a batch above the viewport top (estimated). */
+        _nearViewportIndex(tbody, count, batch) {
+            const rect = tbody.getBoundingClientRect();
+            if (!rect.height) return 0;
+            const view = this._scrollViewport();
+            const at = Math.floor(((view.top - rect.top) / rect.height) * count - batch / 2);
+            return Math.max(0, Math.min(count - 1, at));
+        }
+
+        /**
+         * Apply `_rowState` to one data row: cell visibility, control cell, toggle, open details.
+         * With `hideMode: 'stylesheet'` the table's rules hide cells, except in rows with spanning cells.
+         */
+        _syncRow(row) {
+            const state = this._rowState;
+            const grid = this._rowGrids.get(row);
+            const stylesheet = this.options.hideMode === "stylesheet";
+            const byClass = !stylesheet || this._spannedRows.has(row);
+            if (grid) {
+                for (const cell of new Set(this._cellsOf(row))) {
+                    const info = cell && grid.cells.get(cell);
+                    if (!info) continue;
+                    if (byClass) this._applyCellVisibility(cell, info, state.hiddenSet);
+                    else if (cell.classList.contains(this.options.classNames.hide)) cell.classList.remove(this.options.classNames.hide); // was spanned
+                }
+            }
+
+            // Control cell visibility (entire column)
+            const ctrlTd = row.cells && row.cells[0];
+            if (ctrlTd && !stylesheet) ctrlTd.classList.toggle(this.options.classNames.hide, state.hideControlCol);
+
+            // Toggle button visibility and labels
+            const btn = row.querySelector(this._toggleSelector);
+            if (btn) {
+                btn.style.visibility = state.anyHidden ? "visible" : "hidden";
+                btn.setAttribute("aria-label", state.label);
+                btn.setAttribute("title", this.options.strings.toggleTitle);
+
+                // If currently expanded, re-render details
+                const details = this._detailsRowOf(row);
+                if (details && !details.hidden && btn.getAttribute("aria-expanded") === "true" && !this._adoptPanel(row, details, state)) {
+                    this._renderDetailsForRow(row, details, state.hiddenSet);
+                }
+                // Treegrid rows are expandable only while there are details to show
+                if (this._kbTabIndex) {
+                    if (state.anyHidden) row.setAttribute("aria-expanded", btn.getAttribute("aria-expanded") || "false");
+                    else row.removeAttribute("aria-expanded");
+                }
+            }
+            this._rowSynced.set(row, state.key);
+        }
+
+        /**
+         * First sync of a details panel adopted from pre-rendered markup: kept as is (no nodes
+         * re-created) when the server listed the same hidden columns the way the default renderer would.
+         */
+        _adoptPanel(row, detailsRow, state) {
+            if (!this._adoptedPanels.delete(detailsRow)) return false;
+            const o = this.options;
+            if (state.hidden !== this._serverHidden || typeof o.detailsRender === "function" || typeof o.detailsMount === "function") return false;
+            if (o.detailsContent !== "copy" || o.editable) return false; // moved nodes / named copies: rendered here
+            const wrap = detailsRow.querySelector("." + o.classNames.detailsInner);
+            if (!wrap) return false;
+            if (this._highlight) this._highlightDetails(wrap);
+            const cells = this._cellsOf(row);
+            this._watchDetails(detailsRow, new Map(this.columnsMeta
+                .filter(c => c.index !== 0 && state.hiddenSet.has(c.index) && cells[c.index])
+                .map(c => [cells[c.index], null]))); // `liveDetails`: renders the panel again on a change
+            return true;
+        }
+
+        _refit(initial = false) {
+            const chrome = this._tableChrome();
+            const available = Math.max(0, this._availableWidth() - chrome.fixed);
+
+            // Stacked cards: every column visible, labels on each cell, no control column
+            const stackBelow = Number(this.options.stackBelow) || 0;
+            this._setLayout(stackBelow > 0 && available < stackBelow ? "stack" : "collapse");
+            if (this.layout === "stack") {
+                this._hiddenSet = new Set();
+                this._applyVisibility(this._hiddenSet);
+                this._applyStackLabels();
+                this._updateTogglesVisibility(false, this._hiddenSet);
+                this._renderVirtualWindows();
+                this.emit("refit", { table: this.table, initial, anyHidden: false, layout: this.layout });
+                return;
+            }
+
+            // Compute visibility once, then apply. User overrides: 'show' locks a column,
+            // 'hide' takes it out of the fit entirely. Breakpoint rules hide columns unless pinned.
+            const overrides = this._columnOverrides;
+            const ruleHidden = this._breakpointHidden(available);
+            const meta = this.columnsMeta
+                .filter(c => overrides.get(c.index) !== "hide" && !ruleHidden.has(c.index))
+                .map(c => ({
+                    index: c.index,
+                    min: c.min + chrome.spacing,
+                    priority: c.priority,
+                    lock: c.index === 0 || c.priority === 1 || overrides.get(c.index) === "show"
+                }));
+
+            const hiddenSet = this.options.breakpointMode === "replace" ? new Set() : this._fitColumns(meta, available);
+            ruleHidden.forEach(index => hiddenSet.add(index));
+            overrides.forEach((value, index) => {
+                if (value === "hide") hiddenSet.add(index);
+            });
+            this._hiddenSet = hiddenSet;
+            this._applyVisibility(hiddenSet);
+
+            const anyHidden = Array.from(hiddenSet).some(i => i !== 0);
+            this._updateTogglesVisibility(anyHidden, hiddenSet);
+
+            this._syncColumnMenu();
+            this._renderVirtualWindows();
+            this.emit("refit", { table: this.table, initial, anyHidden, layout: this.layout });
+        }
+
+        /**
+         * Visibility of every data column (control column excluded).
+         * @returns {CollapseTableColumnState[]}
+         */
+        getColumnState() {
+            return this.columnsMeta.filter(c => c.index !== 0).map(c => ({
+                index: c.index,
+                label: this._columnLabel(c),
+                priority: c.priority,
+                hidden: this._hiddenSet.has(c.index),
+                override: this._columnOverrides.get(c.index) || null
+            }));
+        }
+
+        /** Force a column visible (locked during fitting). Accepts a column index or a header cell (a group header applies to all its columns). */
+        showColumn(column) {
+            this._setColumnOverride(column, "show");
+        }
+
+        /** Force a column into the details panel. Accepts a column index or a header cell (a group header applies to all its columns). */
+        hideColumn(column) {
+            this._setColumnOverride(column, "hide");
+        }
+
+        /** Drop all user overrides and fit every column automatically again. */
+        resetColumns() {
+            if (!this._columnOverrides.size) return;
+            this._columnOverrides.clear();
+            this._refit();
+            this._saveState();
+            this.emit("columnchange", { table: this.table, index: null, override: null });
+        }
+
+        /** Resolve a column index or header cell (leaf or group) to data column indices. */
+        _resolveColumnIndexes(column) {
+            const cols = this.columnsMeta.filter(c => c.index !== 0);
+            if (column && column.nodeType === 1) {
+                return cols.filter(c => c.th === column || (c.groups || []).indexOf(column) !== -1).map(c => c.index);
+            }
+            const index = Number(column);
+            return cols.some(c => c.index === index) ? [index] : [];
+        }
+
+        _setColumnOverride(column, value) {
+            const changed = this._resolveColumnIndexes(column).filter(i => this._columnOverrides.get(i) !== value);
+            if (!changed.length) return;
+            changed.forEach(i => this._columnOverrides.set(i, value));
+            this._refit();
+            this._saveState();
+            changed.forEach(index => this.emit("columnchange", { table: this.table, index, override: value }));
+        }
+
+        /** Column chooser: a button in the control header cell opening a checkbox popover. */
+        _mountColumnMenu() {
+            if (!this.options.columnMenu || this._colMenu) return;
+            const th = this.headerRow.cells[0];
+            if (!th) return;
+            th.removeAttribute("aria-hidden"); // it now holds an interactive control
+
+            const id = `${this.table.id ? this.table.id : `ctbl-${this._uid}`}-columns`;
+            const label = this.options.strings.columns;
+            const root = createEl("div");
+            const btn = createEl("button", this.options.classNames.columnMenuToggle);
+            btn.type = "button";
+            btn.setAttribute("aria-expanded", "false");
+            btn.setAttribute("aria-controls", id);
+            btn.setAttribute("title", label);
+            this._setHtml(btn, this.options.icons.columns + `<span class="ctbl-vh">${label}</span>`);
+
+            const menu = createEl("div", this.options.classNames.columnMenu);
+            menu.id = id;
+            menu.setAttribute("role", "group");
+            menu.setAttribute("aria-label", label);
+            menu.hidden = true;
+
+            root.appendChild(btn);
+            root.appendChild(menu);
+            th.appendChild(root);
+
+            const close = (restoreFocus) => {
+                if (menu.hidden) return;
+                menu.hidden = true;
+                btn.setAttribute("aria-expanded", "false");
+                document.removeEventListener("click", this._colMenu.onOutside, true);
+                if (restoreFocus) btn.focus();
+            };
+            const open = () => {
+                this._renderColumnMenu();
+                menu.hidden = false;
+                btn.setAttribute("aria-expanded", "true");
+                document.addEventListener("click", this._colMenu.onOutside, true);
+                const first = menu.querySelector("input");
+                if (first) first.focus();
+            };
+
+            this._colMenu = {
+                root,
+                btn,
+                menu,
+                close,
+                onClick: () => (menu.hidden ? open() : close(false)),
+                onOutside: (e) => {
+                    if (!root.contains(/** @type {Node} */ (e.target))) close(false);
+                },
+                onKey: (e) => {
+                    if (e.key === "Escape") {
+                        e.preventDefault();
+                        close(true);
+                    }
+                },
+                onChange: (e) => {
+                    const input = /** @type {HTMLInputElement} */ (e.target);
+                    if (!input || input.type !== "checkbox") return;
+                    if (input.checked) this.showColumn(Number(input.value));
+                    else this.hideColumn(Number(input.value));
+                }
+            };
+            btn.addEventListener("click", this._colMenu.onClick);
+            root.addEventListener("keydown", this._colMenu.onKey);
+            menu.addEventListener("change", this._colMenu.onChange);
+        }
+
+        _renderColumnMenu() {
+            const menu = this._colMenu.menu;
+            menu.textContent = "";
+            for (const col of this.getColumnState()) {
+                const item = document.createElement("label");
+                const input = document.createElement("input");
+                input.type = "checkbox";
+                input.value = String(col.index);
+                input.checked = !col.hidden;
+                item.appendChild(input);
+                item.appendChild(document.createTextNode(" " + col.label));
+                menu.appendChild(item);
+            }
+        }
+
+        /** Reflect the current fit in an open column chooser. */
+        _syncColumnMenu() {
+            if (!this._colMenu || this._colMenu.menu.hidden) return;
+            for (const input of Array.from(this._colMenu.menu.querySelectorAll("input"))) {
+                input.checked = !this._hiddenSet.has(Number(input.value));
+            }
+        }
+
+        _unmountColumnMenu() {
+            const m = this._colMenu;
+            if (!m) return;
+            document.removeEventListener("click", m.onOutside, true);
+            m.root.remove();
+            const th = this.headerRow && this.headerRow.cells[0];
+            if (th) th.setAttribute("aria-hidden", "true");
+            this._colMenu = null;
+        }
+
+        /**
+         * Show only rows matching a query or predicate; other rows are hidden together with their
+         * details rows. A query matches case-insensitively against every cell, collapsed columns
+         * included. Rows joined by a rowspan are shown or hidden together. Row indexes
+         * (`expandRow(i)`) keep counting filtered-out rows.
+         * @param {CollapseTableFilter|null} query Empty / null clears the filter.
+         * @param {{expand?:boolean}} [options] `expand`: expand rows whose match is only in collapsed columns
+         *   (collapsed again by the next `filter` call).
+         * @returns {{matched:number, total:number}} Data row counts.
+         */
+        filter(query, options = {}) {
+            this._filterExpanded.forEach(row => this.collapseRow(row));
+            this._filterExpanded.clear();
+
+            if (typeof query === "function") {
+                this._filter = { query: null, test: query };
+            } else {
+                const q = String(query ?? "").trim().toLowerCase();
+                this._filter = q ? { query: q, test: null } : null;
+            }
+
+            let matched = 0;
+            let total = 0;
+            for (const tb of this.tbodies) {
+                const counts = this._applyFilter(tb, !!options.expand);
+                matched += counts.matched;
+                total += counts.total;
+            }
+            this._renderVirtualWindows(true); // filtered rows take no space
+            if (this._kbTabIndex) this._syncRovingTabStop(); // the active row may be filtered out
+            this.emit("filter", { table: this.table, query: this._filter ? this._filter.query : "", matched, total });
+            return { matched, total };
+        }
+
+        /** Apply the active filter to one TBODY (rowspan blocks as units). */
+        _applyFilter(tbody, expand) {
+            const grid = this._bodyGrids.get(tbody);
+            if (!grid) return { matched: 0, total: 0 };
+            const cls = this.options.classNames.filtered;
+            let matched = 0;
+            for (const [start, end] of rowBlocks(grid)) {
+                const rows = grid.rows.slice(start, end + 1);
+                const hits = rows.map(row => (this._filter ? this._matchRow(row) : "visible"));
+                const show = hits.some(Boolean);
+                for (const row of rows) {
+                    row.classList.toggle(cls, !show);
+                    const details = this._detailsRowOf(row);
+                    if (details) details.classList.toggle(cls, !show);
+                }
+                if (!show) continue;
+                matched += rows.length;
+                if (!expand) continue;
+                rows.forEach((row, i) => {
+                    const btn = row.querySelector(this._toggleSelector);
+                    if (hits[i] !== "hidden" || !btn || btn.getAttribute("aria-expanded") === "true") return;
+                    if (this.toggle(row)) this._filterExpanded.add(row);
+                });
+            }
+            return { matched, total: grid.rows.length };
+        }
+
+        /**
+         * Match a row against the active filter.
+         * @returns {false|'visible'|'hidden'} Where a query matched: a visible cell, or collapsed cells only.
+         */
+        _matchRow(row) {
+            const cells = this._cellsOf(row);
+            if (this._filter.test) return this._filter.test(row, cells) ? "visible" : false;
+            let inHidden = false;
+            const seen = new Set();
+            for (const col of this.columnsMeta) {
+                const cell = cells[col.index];
+                if (col.index === 0 || !cell || seen.has(cell)) continue;
+                seen.add(cell);
+                if ((this._contentOf(cell).textContent || "").toLowerCase().indexOf(this._filter.query) === -1) continue;
+                if (!this._isCellHidden(row, cell)) return "visible";
+                inHidden = true;
+            }
+            return inHidden ? "hidden" : false;
+        }
+
+        /**
+         * Mark matches of a text query (case-insensitive) in every data cell and in rendered details,
+         * so matches in collapsed columns can be seen. Details re-rendered on refit are marked again.
+         * @param {string|null} query Empty / null removes all marks.
+         * @param {{expand?:boolean}} [options] `expand` (default true): expand rows with a match in a
+         *   collapsed column (collapsed again by the next `highlight` call). Filtered-out rows are skipped.
+         * @returns {{matches:number, rows:number}} Marks in cells, and rows with at least one.
+         */
+        highlight(query, options = {}) {
+            this._highlightExpanded.forEach(row => this.collapseRow(row));
+            this._highlightExpanded.clear();
+            this._highlight = String(query ?? "").trim().toLowerCase();
+
+            let matches = 0;
+            let rows = 0;
+            for (const tb of this.tbodies) {
+                for (const row of this._dataRowsOf(tb)) {
+                    const { count, inHidden } = this._highlightRow(row);
+                    if (!count) continue;
+                    matches += count;
+                    rows++;
+                    if (!inHidden || options.expand === false || row.classList.contains(this.options.classNames.filtered)) continue;
+                    const btn = row.querySelector(this._toggleSelector);
+                    if (!btn || btn.getAttribute("aria-expanded") === "true") continue;
+                    if (this.toggle(row)) this._highlightExpanded.add(row); // renders (and marks) its details
+                }
+            }
+            // Rendered details (closed ones too, so no stale marks are left behind)
+            for (const tb of this.tbodies) {
+                for (const row of this._dataRowsOf(tb)) {
+                    const details = this._detailsRowOf(row);
+                    const wrap = details && !this._detailsMounted.has(details) && details.querySelector("." + this.options.classNames.detailsInner);
+                    if (wrap) this._highlightDetails(wrap);
+                }
+            }
+            return { matches, rows };
+        }
+
+        /** (Re)mark one data row's cells for the active query. */
+        _highlightRow(row) {
+            const cls = this.options.classNames.mark;
+            const cells = this._cellsOf(row);
+            const seen = new Set();
+            let count = 0;
+            let inHidden = false;
+            for (const col of this.columnsMeta) {
+                const cell = cells[col.index];
+                if (col.index === 0 || !cell || seen.has(cell)) continue;
+                seen.add(cell);
+                const root = this._contentOf(cell);
+                unmarkText(root, cls);
+                if (!this._highlight) continue;
+                const n = markText(root, this._highlight, cls);
+                count += n;
+                if (n && this._isCellHidden(row, cell)) inHidden = true;
+            }
+            this._highlighted.set(row, this._highlight);
+            return { count, inHidden };
+        }
+
+        /** Whether every column of a body cell is hidden (by class or by the table's stylesheet). */
+        _isCellHidden(row, cell) {
+            const grid = this._rowGrids.get(row);
+            const info = grid && grid.cells.get(cell);
+            if (!info) return cell.classList.contains(this.options.classNames.hide);
+            for (let x = info.col; x < info.col + info.colSpan; x++) {
+                if (!this._hiddenSet.has(x)) return false;
+            }
+            return true;
+        }
+
+        /** (Re)mark a details panel for the active query (cells copied in may carry old marks). */
+        _highlightDetails(wrap) {
+            unmarkText(wrap, this.options.classNames.mark);
+            if (this._highlight) markText(wrap, this._highlight, this.options.classNames.mark);
+        }
+
+        /**
+         * Sort data rows by a column. Each row moves together with its details row, rows joined
+         * by a rowspan move as one block (ordered by the block's first row), and every TBODY is
+         * sorted on its own. Works whether or not the column is currently collapsed.
+         * @param {number|HTMLTableCellElement} column Column index or header cell (a group header sorts by its first sortable column).
+         * @param {'asc'|'desc'} [direction] Omitted: ascending, or the opposite of the current direction for this column.
+         */
+        sort(column, direction) {
+            const col = this._resolveColumnIndexes(column)
+                .map(i => this.columnsMeta.find(c => c.index === i))
+                .find(c => c && c.sort);
+            if (!col) return;
+            const current = this._sort && this._sort.index === col.index ? this._sort.direction : null;
+            const dir = direction === "asc" || direction === "desc" ? direction : (current === "asc" ? "desc" : "asc");
+            const compare = this._sorterFor(col);
+            for (const tb of this.tbodies) this._sortBody(tb, col.index, compare, dir);
+            this._sort = { index: col.index, direction: dir };
+            this._syncSortState();
+            this.emit("sort", { table: this.table, index: col.index, direction: dir });
+        }
+
+        /** Current sort, or null when rows are in authored order. */
+        getSort() {
+            return this._sort ? { index: this._sort.index, direction: this._sort.direction } : null;
+        }
+
+        /** Comparator for a column: `sorters[name]`, a built-in, or text for unknown names. */
+        _sorterFor(col) {
+            const custom = this.options.sorters && this.options.sorters[col.sort];
+            if (typeof custom === "function") return custom;
+            if (SORTERS[col.sort]) return SORTERS[col.sort];
+            oncePerTable(this.table, `sort-warn:${col.sort}`, () => {
+                if (this._mode === CTBL_MODE_DEV) {
+                    console.warn(`CollapseTable: unknown sorter "${col.sort}"; sorting as text. Add it to options.sorters.`);
+                }
+            });
+            return SORTERS.text;
+        }
+
+        /** Reorder one TBODY: rowspan blocks in sorted order, each followed by its details rows. */
+        _sortBody(tbody, index, compare, direction) {
+            this._mountRowsInBody(tbody); // grid and details rows up to date
+            const grid = this._bodyGrids.get(tbody);
+            if (!grid || grid.rows.length < 2) return;
+            const blocks = rowBlocks(grid).map(([start, end], pos) => {
+                const cell = grid.slots[start][index] || null;
+                return { rows: grid.rows.slice(start, end + 1), cell, pos, value: cell ? this._sortValue(cell) : "" };
+            });
+            const sorted = sortItems(blocks, compare, direction);
+            if (sorted.every((block, i) => block.pos === i)) return;
+
+            const v = this._virtual.get(tbody);
+            if (v) {
+                v.rows = sorted.flatMap(block => block.rows);
+                this._mountRowsInBody(tbody);
+                this._renderVirtualWindow(tbody, true);
+                return;
+            }
+
+            const frag = document.createDocumentFragment();
+            for (const block of sorted) {
+                block.rows.forEach(row => frag.appendChild(row));
+                block.rows.forEach(row => {
+                    const details = this._detailsRowOf(row);
+                    if (details) frag.appendChild(details);
+                });
+            }
+            tbody.appendChild(frag);
+            this._mountRowsInBody(tbody);
+        }
+
+        /** Sort value of a cell: `data-sort-value` or its text. */
+        _sortValue(cell) {
+            const raw = cell.getAttribute(this.options.attrs.sortValue);
+            return (raw !== null ? raw : (this._contentOf(cell).textContent || "")).trim();
+        }
+
+        /** Sortable column for a click / key target: a sortable header or a details sort button. */
+        _sortColumnOf(target) {
+            if (!target || !target.closest) return null;
+            const btn = target.closest(`[${CTBL_SORT_ATTR}]`);
+            if (btn && this.table.contains(btn)) {
+                const index = Number(btn.getAttribute(CTBL_SORT_ATTR));
+                return this.columnsMeta.find(c => c.index === index && c.sort) || null;
             }
+            const th = target.closest("th");
+            if (!th || !this._sortHeaders.has(th)) return null;
+            // Links and controls inside a header keep their own behavior
+            const control = target.closest("a, button, input, select, textarea, label");
+            if (control && th.contains(control)) return null;
+            return this.columnsMeta.find(c => c.th === th) || null;
         }
 
-        _updateTogglesVisibility(anyHidden, hiddenSet) {
-            // Hide/show the entire control column to prevent an empty leading space when no details are available.
-            const hideControlCol = !anyHidden;
+        /** Make sortable leaf headers focusable and clickable; undo it for headers no longer sortable. */
+        _syncSortHeaders() {
+            const next = new Set(this.columnsMeta.filter(c => c.sort).map(c => c.th));
+            this._sortHeaders.forEach((addedTabIndex, th) => {
+                if (next.has(th)) return;
+                this._clearSortHeader(th, addedTabIndex);
+                this._sortHeaders.delete(th);
+            });
+            next.forEach(th => {
+                if (this._sortHeaders.has(th)) return;
+                const addTabIndex = !th.hasAttribute("tabindex");
+                if (addTabIndex) th.tabIndex = 0;
+                th.classList.add(this.options.classNames.sortable);
+                this._sortHeaders.set(th, addTabIndex);
+            });
+            if (this._sort && !this.columnsMeta.some(c => c.index === this._sort.index && c.sort)) this._sort = null;
+            this._syncSortState();
+        }
 
-            // Header control cell
-            const ctrlTh = this.headerRow && this.headerRow.cells && this.headerRow.cells[0];
-            if (ctrlTh) ctrlTh.classList.toggle(this.options.classNames.hide, hideControlCol);
+        _clearSortHeader(th, addedTabIndex) {
+            th.classList.remove(this.options.classNames.sortable);
+            th.removeAttribute("aria-sort");
+            if (addedTabIndex) th.removeAttribute("tabindex");
+        }
 
-            for (const tb of this.tbodies) {
-                const dataRows = Array.from(tb.rows).filter(r => !r.classList.contains(this.options.classNames.details));
-                for (const row of dataRows) {
-                    // Control cell visibility (entire column)
-                    const ctrlTd = row.cells && row.cells[0];
-                    if (ctrlTd) ctrlTd.classList.toggle(this.options.classNames.hide, hideControlCol);
+        /** Reflect the current sort in `aria-sort` and in details sort buttons. */
+        _syncSortState() {
+            const sorted = this._sort && this.columnsMeta.find(c => c.index === this._sort.index);
+            this._sortHeaders.forEach((_, th) => {
+                if (sorted && sorted.th === th) th.setAttribute("aria-sort", this._sort.direction === "desc" ? "descending" : "ascending");
+                else th.removeAttribute("aria-sort");
+            });
+            for (const btn of Array.from(this.table.querySelectorAll(`button[${CTBL_SORT_ATTR}]`))) {
+                const col = this.columnsMeta.find(c => c.index === Number(btn.getAttribute(CTBL_SORT_ATTR)));
+                if (col) this._syncSortButton(/** @type {HTMLElement} */ (btn), col);
+            }
+        }
 
-                    // Toggle button visibility and labels
-                    const btn = row.querySelector(this._toggleSelector);
-                    if (!btn) continue;
-                    btn.style.visibility = anyHidden ? "visible" : "hidden";
-                    // a11y: include hidden count in label
-                    const hiddenCount = this.columnsMeta.filter(c => hiddenSet.has(c.index) && c.index !== 0).length;
-                    const base = this.options.strings.toggleTitle;
-                    btn.setAttribute("aria-label", anyHidden ? `${base} (${hiddenCount} hidden)` : base);
-
-                    // If currently expanded, re-render details
-                    const details = row.nextElementSibling;
-                    const expanded = btn.getAttribute("aria-expanded") === "true";
-                    if (details && details.classList.contains(this.options.classNames.details) && !details.hidden && expanded) {
-                        this._renderDetailsForRow(row, details, hiddenSet);
-                    }
-                }
+        /** Icon and accessible label of a details sort button. */
+        _syncSortButton(btn, col) {
+            const { icons, strings } = this.options;
+            const dir = this._sort && this._sort.index === col.index ? this._sort.direction : null;
+            let label = `${strings.sortBy} ${this._columnLabel(col)}`;
+            if (dir) label += `, ${dir === "desc" ? strings.sortDescending : strings.sortAscending}`;
+            this._setHtml(btn, (dir === "desc" ? icons.sortDesc : dir === "asc" ? icons.sortAsc : icons.sort) + `<span class="ctbl-vh">${label}</span>`);
+            btn.setAttribute("title", label);
+        }
+
+        /**
+         * Columns hidden by `data-hide-below` / `data-hide-above` at the current breakpoint width.
+         * Columns pinned with `showColumn` are exempt.
+         * @param {number} available Container width (used with `breakpointWidth: 'container'`).
+         * @returns {Set<number>}
+         */
+        _breakpointHidden(available) {
+            const hidden = new Set();
+            const ruled = this.columnsMeta.filter(c => c.hideBelow || c.hideAbove);
+            if (!ruled.length) return hidden;
+
+            const width = this.options.breakpointWidth === "container"
+                ? available
+                : ((typeof window !== "undefined" ? window.innerWidth : 0) || available);
+            for (const col of ruled) {
+                if (this._columnOverrides.get(col.index) === "show") continue;
+                const below = this._resolveBreakpoint(col.hideBelow);
+                const above = this._resolveBreakpoint(col.hideAbove);
+                if ((below !== null && width < below) || (above !== null && width >= above)) hidden.add(col.index);
             }
+            return hidden;
         }
 
-        _refit(initial = false) {
-            if (this._unsupportedSpan) return; // Base styles only
+        /**
+         * Breakpoint name (from `options.breakpoints`) or px value to px; null if unknown.
+         * @param {string|null} value
+         * @returns {number|null}
+         */
+        _resolveBreakpoint(value) {
+            if (value === null || value === "") return null;
+            const px = resolveBreakpointPx(value, this.options.breakpoints);
+            if (px !== null) return px;
+            oncePerTable(this.table, `breakpoint-warn:${value}`, () => {
+                if (this._mode === CTBL_MODE_DEV) console.warn(`CollapseTable: unknown breakpoint "${value}"; add it to options.breakpoints.`);
+            });
+            return null;
+        }
 
-            // Compute visibility once, then apply
-            const available = this._availableWidth();
-            const meta = this.columnsMeta.map(c => ({
-                index: c.index,
-                min: c.min,
-                priority: c.priority,
-                lock: c.index === 0 || c.priority === 1
-            }));
+        /**
+         * Run the configured fit strategy (see `fitColumns`); warns once in development mode
+         * when a custom strategy throws.
+         * @param {CollapseTableFitColumn[]} meta
+         * @param {number} available
+         * @returns {Set<number>}
+         */
+        _fitColumns(meta, available) {
+            return fitColumns(meta, available, this.options.fitStrategy, (err) => {
+                oncePerTable(this.table, "fit-strategy-error", () => {
+                    if (this._mode === CTBL_MODE_DEV) console.warn("CollapseTable: fitStrategy threw; using the greedy fit.", err);
+                });
+            });
+        }
 
-            const hiddenSet = computeHiddenColumns(meta, available);
-            this._applyVisibility(hiddenSet);
+        /**
+         * Switch between the collapse and stacked layouts.
+         * @param {CollapseTableLayout} layout
+         */
+        _setLayout(layout) {
+            if (this.layout === layout) return;
+            const previous = this.layout;
+            this.layout = layout;
+            this.table.classList.toggle(this.options.classNames.stacked, layout === "stack");
+            if (layout !== "stack") this._clearStackLabels();
+            this.emit("layoutchange", { table: this.table, layout, previous });
+        }
 
-            const anyHidden = Array.from(hiddenSet).some(i => i !== 0);
-            this._updateTogglesVisibility(anyHidden, hiddenSet);
+        /** Label every body cell with its column label(s) for the stacked layout. */
+        _applyStackLabels() {
+            const sep = this.options.strings.labelSeparator;
+            if (sep === ": ") this.table.style.removeProperty(CTBL_LABEL_SEPARATOR_PROP); // the CSS default
+            else this.table.style.setProperty(CTBL_LABEL_SEPARATOR_PROP, cssString(sep));
+            const labels = new Map(this.columnsMeta.map(c => [c.index, this._columnLabel(c)]));
+            for (const tb of this.tbodies) {
+                const grid = this._bodyGrids.get(tb);
+                if (!grid) continue;
+                grid.cells.forEach((info, cell) => {
+                    if (info.col === 0) return;
+                    const parts = [];
+                    for (let x = info.col; x < info.col + info.colSpan; x++) {
+                        const label = labels.get(x);
+                        if (label && parts.indexOf(label) === -1) parts.push(label);
+                    }
+                    if (parts.length) cell.setAttribute(CTBL_STACK_LABEL_ATTR, parts.join(this.options.strings.labelJoin));
+                    else cell.removeAttribute(CTBL_STACK_LABEL_ATTR);
+                });
+            }
+        }
 
-            this.emit("refit", { table: this.table, initial, anyHidden });
+        _clearStackLabels() {
+            this.table.querySelectorAll(`[${CTBL_STACK_LABEL_ATTR}]`).forEach(cell => cell.removeAttribute(CTBL_STACK_LABEL_ATTR));
+            this.table.style.removeProperty(CTBL_LABEL_SEPARATOR_PROP);
         }
 
         toggle(row) {
-            if (!row || row.classList.contains(this.options.classNames.details)) return;
-            const btn = row.querySelector(this._toggleSelector);
-            const details = row.nextElementSibling;
-            if (!btn || !details || !details.classList.contains(this.options.classNames.details)) return;
+            return this._toggle(row, null);
+        }
 
+        /**
+         * Toggle one row.
+         * @param {HTMLTableRowElement} row
+         * @param {HTMLTableRowElement|null} expandedRow Row whose expansion auto-collapses this one (accordion).
+         * @returns {boolean} false when nothing changed (no toggle, or vetoed by a `before*` handler).
+         */
+        _toggle(row, expandedRow) {
+            if (!row || row.classList.contains(this.options.classNames.details)) return false;
+            const btn = row.querySelector(this._toggleSelector);
+            if (!btn) return false;
             const expanded = btn.getAttribute("aria-expanded") === "true";
+            const payload = expanded
+                ? (expandedRow ? { table: this.table, row, auto: true, expandedRow } : { table: this.table, row })
+                : { table: this.table, row };
+            if (!this.emit(expanded ? "beforecollapse" : "beforeexpand", payload)) return false;
+            const details = expanded ? this._detailsRowOf(row) : this._detailsRowFor(row);
+            if (!details) return false;
+
             if (expanded) {
+                // Keyboard mode: focus in the panel goes back to the row before the panel hides
+                if (this._kbTabIndex && details.contains(document.activeElement)) this._setActive(this._rowTarget(row), true);
                 btn.setAttribute("aria-expanded", "false");
-                btn.innerHTML = this.options.icons.expand + `<span class="ctbl-vh">${this.options.strings.show}</span>`;
+                this._setHtml(btn, this.options.icons.expand + `<span class="ctbl-vh">${this.options.strings.show}</span>`);
                 details.hidden = true;
-                this.emit("collapse", { table: this.table, row });
+                this._unmountDetails(details);
+                this._restoreCellContent(details);
+                this._unwatchDetails(details);
+                this.emit("collapse", payload);
             } else {
+                if (this.options.accordion) this._collapseOthers(row);
                 btn.setAttribute("aria-expanded", "true");
-                btn.innerHTML = this.options.icons.collapse + `<span class="ctbl-vh">${this.options.strings.hide}</span>`;
+                this._setHtml(btn, this.options.icons.collapse + `<span class="ctbl-vh">${this.options.strings.hide}</span>`);
                 // Rebuild details for current hidden set
-                const hiddenSet = new Set(this.columnsMeta.filter(c => c.th.classList.contains(this.options.classNames.hide)).map(c => c.index));
-                this._renderDetailsForRow(row, details, hiddenSet);
+                this._renderDetailsForRow(row, details, this._hiddenSet);
                 details.hidden = false;
                 this.emit("expand", { table: this.table, row });
             }
+
+            if (this._kbTabIndex && this._rowState && this._rowState.anyHidden) row.setAttribute("aria-expanded", String(!expanded));
+
+            const key = this._rowKeyMap.get(row);
+            if (key) {
+                if (expanded) this._expandedKeys.delete(key);
+                else this._expandedKeys.add(key);
+                this._saveState();
+            }
             this.emit("toggle", { table: this.table, row, expanded: !expanded });
+            return true;
+        }
+
+        /** Accordion: collapse every other expanded row in the row's scope (table or its TBODY); a vetoed collapse leaves that row open. */
+        _collapseOthers(row) {
+            const scope = this.options.accordion === "tbody" ? [row.parentNode] : this.tbodies;
+            for (const tb of scope) {
+                if (!tb) continue;
+                for (const other of this._dataRowsOf(tb).filter(r => r !== row)) {
+                    const btn = other.querySelector(this._toggleSelector);
+                    if (btn && btn.getAttribute("aria-expanded") === "true") this._toggle(other, row);
+                }
+            }
         }
 
         expandAll() {
-            // Only if there are hidden columns
-            const anyHidden = this.columnsMeta.some(c => c.index !== 0 && c.th.classList.contains(this.options.classNames.hide));
-            if (!anyHidden) return;
+            // Only if there are hidden columns; accordion tables keep a single row open
+            const anyHidden = Array.from(this._hiddenSet).some(i => i !== 0);
+            if (!anyHidden || this.options.accordion) return;
 
             for (const tb of this.tbodies) {
-                const rows = Array.from(tb.rows).filter(r => !r.classList.contains(this.options.classNames.details));
-                for (const row of rows) {
+                for (const row of this._dataRowsOf(tb).slice()) {
+                    if (row.classList.contains(this.options.classNames.filtered)) continue; // filtered out
                     const btn = row.querySelector(this._toggleSelector);
                     if (!btn) continue;
                     if (btn.getAttribute("aria-expanded") !== "true") this.toggle(row);
@@ -852,8 +3546,7 @@
 
         collapseAll() {
             for (const tb of this.tbodies) {
-                const rows = Array.from(tb.rows).filter(r => !r.classList.contains(this.options.classNames.details));
-                for (const row of rows) {
+                for (const row of this._dataRowsOf(tb).slice()) {
                     const btn = row.querySelector(this._toggleSelector);
                     if (!btn) continue;
                     if (btn.getAttribute("aria-expanded") === "true") this.toggle(row);
@@ -882,21 +3575,247 @@
             const idx = Number(rowOrIndex);
             if (!Number.isFinite(idx)) return null;
             // Resolve across all TBODYs
-            const allRows = this.tbodies.flatMap(tb => Array.from(tb.rows).filter(r => !r.classList.contains(this.options.classNames.details)));
+            const allRows = this.tbodies.flatMap(tb => this._dataRowsOf(tb));
             return allRows[idx] || null;
         }
 
-        refresh() {
-            // Re-measure min widths for columns (in case fonts/styles changed)
-            this.columnsMeta.forEach((col, i) => {
-                if (i === 0) {
-                    col.min = this.options.controlWidth;
+        /**
+         * Keyboard mode: treegrid roles and a roving tabindex, so the table is one tab stop.
+         * Data rows are level 1, their details rows level 2 (without a row index: they come and go).
+         */
+        _mountKeyboard() {
+            /** @type {Map<HTMLElement, (string|null)>} */
+            this._kbTabIndex = new Map(); // element -> authored tabindex (null = none), restored on destroy
+            /** @type {HTMLElement|null} */
+            this._kbActive = null; // the element with tabindex 0
+            /** @type {HTMLTableRowElement|null} */
+            this._kbRow = null; // data row last navigated to
+            this._kbTableRole = this.table.getAttribute("role");
+            this.table.setAttribute("role", "treegrid");
+            this._focusHandler = (e) => {
+                const target = /** @type {HTMLElement} */ (e.target);
+                if (this._headerTargets().indexOf(target) !== -1) {
+                    this._setActive(target, false);
                     return;
                 }
-                const hinted = Number(col.th.getAttribute(this.options.attrs.min)) || 0;
-                const w = Math.ceil(col.th.clientWidth || col.th.offsetWidth || 0);
-                col.min = hinted > 0 ? hinted : (w > 0 ? w : this.options.minWidthDefault);
+                // Focus in a row (or its details panel) makes that row the tab stop
+                const tr = this._ownRowOf(target);
+                const row = tr && (this._detailsOwners.get(tr) || tr);
+                if (row && row.parentElement !== this.thead && this._rowKeyMap.has(row)) this._setActive(this._rowTarget(row), false);
+            };
+            this.table.addEventListener("focusin", this._focusHandler);
+            this._syncGridRows();
+        }
+
+        /** Roles, levels and row indexes (header rows first, all TBODYs in order); toggles leave the tab order. */
+        _syncGridRows() {
+            let index = 0;
+            for (const tr of this.headerRows) {
+                tr.setAttribute("role", "row");
+                tr.setAttribute("aria-rowindex", String(++index));
+            }
+            for (const tb of this.tbodies) {
+                for (const row of this._dataRowsOf(tb)) {
+                    row.setAttribute("role", "row");
+                    row.setAttribute("aria-level", "1");
+                    row.setAttribute("aria-rowindex", String(++index));
+                    const btn = /** @type {HTMLElement|null} */ (row.querySelector(this._toggleSelector));
+                    if (btn && btn !== this._kbActive) this._setTabIndex(btn, -1);
+                    const details = this._detailsRowOf(row);
+                    if (details) {
+                        details.setAttribute("role", "row");
+                        details.setAttribute("aria-level", "2");
+                    }
+                }
+            }
+            this.table.setAttribute("aria-rowcount", String(index));
+            this._syncRovingTabStop();
+        }
+
+        /** Keep one valid tab stop: the active header, else the active row's focus target (it changes with the fit). */
+        _syncRovingTabStop() {
+            const headers = this._headerTargets();
+            headers.forEach(el => {
+                if (el !== this._kbActive) this._setTabIndex(el, -1);
+            });
+            const active = this._kbActive;
+            if (active && headers.indexOf(active) !== -1) return;
+            const rows = this._navRows();
+            const row = this._kbRow && rows.indexOf(this._kbRow) !== -1 ? this._kbRow : rows[0];
+            const target = row ? this._rowTarget(row) : (headers[0] || null);
+            if (target && target !== active) this._setActive(target, !!active && document.activeElement === active);
+        }
+
+        /**
+         * Move the tab stop (and focus) to an element.
+         * @param {HTMLElement|null} el
+         * @param {boolean} focus
+         */
+        _setActive(el, focus) {
+            if (!el) return;
+            const tr = this._ownRowOf(el);
+            if (tr && this._detailsOwners.has(tr)) {
+                if (focus) el.focus(); // panels take focus, not the tab stop (see the focusin handler)
+                return;
+            }
+            if (this._kbActive && this._kbActive !== el) this._setTabIndex(this._kbActive, -1);
+            this._kbActive = el;
+            this._setTabIndex(el, 0);
+            if (tr && tr.parentElement !== this.thead) this._kbRow = tr;
+            if (focus) el.focus();
+        }
+
+        _setTabIndex(el, value) {
+            if (!this._kbTabIndex.has(el)) this._kbTabIndex.set(el, el.getAttribute("tabindex"));
+            if (el.getAttribute("tabindex") !== String(value)) el.tabIndex = value;
+        }
+
+        /** Row of this table (not of a nested one) containing an element. */
+        _ownRowOf(el) {
+            for (let n = el; n && n !== this.table; n = n.parentElement) {
+                if (n.tagName === "TR" && n.parentElement && n.parentElement.parentElement === this.table) return /** @type {HTMLTableRowElement} */ (n);
+            }
+            return null;
+        }
+
+        /** Rendered, unfiltered data rows in order (keyboard navigation). */
+        _navRows() {
+            const rows = [];
+            for (const tb of this.tbodies) {
+                for (const row of this._dataRowsOf(tb)) {
+                    if (row.parentNode && !row.classList.contains(this.options.classNames.filtered)) rows.push(row);
+                }
+            }
+            return rows;
+        }
+
+        /** Focusable header controls, in order: the column chooser, then visible sortable headers. */
+        _headerTargets() {
+            if (this.layout === "stack") return []; // the header is visually hidden
+            const out = this._colMenu ? [this._colMenu.btn] : [];
+            this._sortHeaders.forEach((_, th) => {
+                if (!th.classList.contains(this.options.classNames.hide)) out.push(th);
+            });
+            return out;
+        }
+
+        /** Focus target of a data row: its toggle while columns are collapsed, else its first visible cell. */
+        _rowTarget(row) {
+            const btn = /** @type {HTMLElement|null} */ (row.querySelector(this._toggleSelector));
+            if (btn && this._rowState && this._rowState.anyHidden) return btn;
+            const cell = Array.from(row.cells).slice(1).find(c => !this._isCellHidden(row, c));
+            return cell || row;
+        }
+
+        /** Whether a row has details to expand into (columns are collapsed and it has a toggle). */
+        _isExpandable(row) {
+            return !!(this._rowState && this._rowState.anyHidden && row.querySelector(this._toggleSelector));
+        }
+
+        /**
+         * Treegrid keys. Rows: Up/Down move, Home/End go to the first/last row, Right expands and then
+         * enters the details panel, Left collapses; Up from the first row reaches the header controls
+         * (Left/Right between them, Down back). Details panel: Escape, or Left/Up on the panel, goes back
+         * to its row. Keys inside cell or panel content (inputs, links) are left alone.
+         * @param {KeyboardEvent} e
+         * @returns {boolean} true when the key was handled.
+         */
+        _onGridKey(e) {
+            if (e.altKey || e.metaKey || e.shiftKey) return false;
+            const target = /** @type {HTMLElement} */ (e.target);
+            const tr = this._ownRowOf(target);
+            if (!tr) return false;
+            // Right/Left follow the reading direction: in RTL tables, Left expands and Right collapses
+            const rtl = getComputedStyle(this.table).direction === "rtl";
+            const mirrored = { ArrowLeft: "ArrowRight", ArrowRight: "ArrowLeft" };
+            const key = rtl && mirrored[e.key] ? mirrored[e.key] : e.key;
+            let next = null;
+
+            const owner = this._detailsOwners.get(tr);
+            if (owner) {
+                const onPanel = target.classList.contains(this.options.classNames.detailsInner);
+                if (key === "Escape" || (onPanel && (key === "ArrowLeft" || key === "ArrowUp"))) next = this._rowTarget(owner);
+                else if (onPanel && key === "ArrowDown") {
+                    const rows = this._navRows();
+                    const after = rows[rows.indexOf(owner) + 1];
+                    next = after ? this._rowTarget(after) : null;
+                }
+                if (!next) return false;
+            } else if (tr.parentElement === this.thead) {
+                const headers = this._headerTargets();
+                const i = headers.indexOf(target);
+                if (i === -1) return false;
+                if (key === "ArrowLeft") next = headers[i - 1];
+                else if (key === "ArrowRight") next = headers[i + 1];
+                else if (key === "Home") next = headers[0];
+                else if (key === "End") next = headers[headers.length - 1];
+                else if (key === "ArrowDown") {
+                    const rows = this._navRows();
+                    const row = this._kbRow && rows.indexOf(this._kbRow) !== -1 ? this._kbRow : rows[0];
+                    next = row ? this._rowTarget(row) : null;
+                } else return false;
+            } else {
+                if (this._rowTarget(tr) !== target) return false;
+                const rows = this._navRows();
+                const i = rows.indexOf(tr);
+                const expanded = this._isExpandable(tr) && !!this._detailsRowOf(tr) && !this._detailsRowOf(tr).hidden;
+                if (key === "ArrowDown") next = rows[i + 1] ? this._rowTarget(rows[i + 1]) : null;
+                else if (key === "ArrowUp") next = i > 0 ? this._rowTarget(rows[i - 1]) : (this._headerTargets()[0] || null);
+                else if (key === "Home") next = rows[0] ? this._rowTarget(rows[0]) : null;
+                else if (key === "End") next = rows.length ? this._rowTarget(rows[rows.length - 1]) : null;
+                else if (key === "ArrowRight") {
+                    if (!this._isExpandable(tr)) return false;
+                    if (!expanded) this.toggle(tr);
+                    else next = this._detailsPanelOf(tr);
+                } else if (key === "ArrowLeft") {
+                    if (!expanded) return false;
+                    this.toggle(tr);
+                } else return false;
+            }
+
+            e.preventDefault();
+            if (next) this._setActive(next, true);
+            return true;
+        }
+
+        /** Focusable details panel of an expanded row (the panel itself, so its content is read from the top). */
+        _detailsPanelOf(row) {
+            const details = this._detailsRowOf(row);
+            if (!details || details.hidden) return null;
+            const panel = /** @type {HTMLElement|null} */ (details.querySelector("." + this.options.classNames.detailsInner) || details.cells[0]);
+            if (panel && !panel.hasAttribute("tabindex")) {
+                if (!this._kbTabIndex.has(panel)) this._kbTabIndex.set(panel, null);
+                panel.tabIndex = -1;
+            }
+            return panel;
+        }
+
+        /** Undo keyboard mode: authored tabindex values, roles and row attributes. */
+        _unmountKeyboard() {
+            this.table.removeEventListener("focusin", this._focusHandler);
+            this._kbTabIndex.forEach((value, el) => {
+                if (value === null) el.removeAttribute("tabindex");
+                else el.setAttribute("tabindex", value);
             });
+            this._kbTabIndex = null;
+            this._kbActive = this._kbRow = null;
+            if (this._kbTableRole === null) this.table.removeAttribute("role");
+            else this.table.setAttribute("role", this._kbTableRole);
+            this.table.removeAttribute("aria-rowcount");
+            const rows = this.headerRows.concat(this.tbodies.flatMap(tb => Array.from(tb.rows)));
+            for (const tr of rows) {
+                ["role", "aria-level", "aria-rowindex", "aria-expanded"].forEach(name => tr.removeAttribute(name));
+            }
+        }
+
+        refresh() {
+            this._contentWidths = null; // fonts/styles may have changed content widths too
+            this._remeasure();
+        }
+
+        _remeasure() {
+            // Re-measure min widths for columns (in case fonts/styles changed)
+            this._measureColumns();
             // Ensure details cells span count is in sync before refitting
             this._syncDetailsColspan();
             this._refit();
@@ -905,6 +3824,18 @@
         destroy() {
             this._destroyed = true;
 
+            // Render every row again, in model order
+            this._virtual.forEach((v, tb) => {
+                this._syncVirtualModel(tb);
+                const frag = document.createDocumentFragment();
+                v.rows.forEach(row => frag.appendChild(row));
+                v.top.remove();
+                v.bottom.remove();
+                tb.appendChild(frag);
+            });
+            this._virtual.clear();
+            if (this._onVirtualScroll) (this._scrollParent || window).removeEventListener("scroll", this._onVirtualScroll);
+
             // Observers / listeners
             if (this._resizeObserver && this._resizeObserver.disconnect) this._resizeObserver.disconnect();
             if (this._headerResizeObserver && this._headerResizeObserver.disconnect) this._headerResizeObserver.disconnect();
@@ -914,28 +3845,56 @@
             if (this._tableObserver && this._tableObserver.disconnect) this._tableObserver.disconnect();
             if (this._clickHandler) this.table.removeEventListener("click", this._clickHandler);
             if (this._keyHandler) this.table.removeEventListener("keydown", this._keyHandler);
+            if (this._inputHandler) {
+                this.table.removeEventListener("input", this._inputHandler);
+                this.table.removeEventListener("change", this._inputHandler);
+            }
             if (this._onWinResize) window.removeEventListener("resize", this._onWinResize);
+            if (this._onViewportResize) window.removeEventListener("resize", this._onViewportResize);
+
+            // Leave the stacked layout
+            this.table.classList.remove(this.options.classNames.stacked);
+            this._clearStackLabels();
 
-            // Unhide all cells
-            for (const col of this.columnsMeta) col.th.classList.remove(this.options.classNames.hide);
+            // Unhide all cells and restore authored colspans
+            if (this._headGrid) this._restoreGrid(this._headGrid);
+            for (const tb of this.tbodies) {
+                const grid = this._bodyGrids.get(tb);
+                if (grid) this._restoreGrid(grid);
+            }
+
+            // Remove details rows (framework content unmounted, moved cell content put back first)
+            Array.from(this._detailsMounted.keys()).forEach(tr => this._unmountDetails(tr));
+            Array.from(this._movedContent.keys()).forEach(tr => this._restoreCellContent(tr));
+            Array.from(this._liveRows.keys()).forEach(tr => this._unwatchDetails(tr));
+            if (this._liveObserver) this._liveObserver.disconnect();
+            this._liveObserver = null;
             for (const tb of this.tbodies) {
                 for (const row of Array.from(tb.rows)) {
-                    if (row.classList.contains(this.options.classNames.details)) continue;
-                    for (const col of this.columnsMeta) {
-                        const td = row.cells[col.index];
-                        if (td) td.classList.remove(this.options.classNames.hide);
-                    }
+                    if (row.classList.contains(this.options.classNames.details)) row.remove();
                 }
             }
 
-            // Remove details rows
+            // Drop the scoped column rules
+            this._removeHideStyles();
+
+            // Show filtered-out rows again and drop highlight marks
             for (const tb of this.tbodies) {
                 for (const row of Array.from(tb.rows)) {
-                    if (row.classList.contains(this.options.classNames.details)) row.remove();
+                    row.classList.remove(this.options.classNames.filtered, this.options.classNames.spanned);
+                    unmarkText(row, this.options.classNames.mark);
                 }
             }
 
-            // Remove toggle buttons
+            // Keyboard mode: authored tab order and roles back
+            if (this._kbTabIndex) this._unmountKeyboard();
+
+            // Sortable headers back to plain cells (rows keep their sorted order)
+            this._sortHeaders.forEach((addedTabIndex, th) => this._clearSortHeader(th, addedTabIndex));
+            this._sortHeaders.clear();
+
+            // Remove the column chooser and toggle buttons
+            this._unmountColumnMenu();
             const toggles = this.table.querySelectorAll(this._toggleSelector);
             toggles.forEach((btn) => btn.remove());
 
@@ -976,11 +3935,34 @@
                 minWidthDefault: 140,        // px when no data-min and cannot measure
                 tableLayout: "auto",         // 'auto' | 'fixed'
                 deferWhenHidden: true,       // if container hidden, defer precision until visible
+                sizeSource: null,            // element / selector to measure instead of the parent
+                measure: "header",           // 'header' | 'content' (also measure body cells' max-content)
+                measureSample: 50,           // body rows sampled for content measurement
+                measurePercentile: 100,      // percentile of sampled widths (100 = widest cell)
+                refitBatch: 500,             // rows synced per frame on refit (rows near the viewport first)
+                virtualize: false,           // render only rows near the viewport in large TBODYs
+                virtualThreshold: 1000,      // data rows a TBODY needs before it is virtualized
+                virtualOverscan: 10,         // rows rendered beyond the visible ones (each side)
+                hideMode: "class",           // 'class' (per cell) | 'stylesheet' (scoped nth-child rules per table)
+                stackBelow: 0,               // px; below this width rows become stacked cards (0 = off)
+                accordion: false,            // true | 'table' | 'tbody': one expanded row per scope
+                columnMenu: false,           // column chooser button in the control header cell
+                fitStrategy: "greedy",       // 'greedy' | 'priority' | 'count' | (columns, available) => Set|number[]
+                keyboard: false,             // treegrid keyboard navigation with a roving tabindex (set at setup)
+                sortable: false,             // sort rows on header click (data-sort="number|text|date|<sorter>|none")
+                sorters: {},                 // custom sorters by name: (a, b, cellA, cellB) => number
                 attrs: {
                     priority: "data-priority", // lower = more important (1 never hidden)
                     min: "data-min",           // min width hint (px)
-                    label: "data-label"        // optional override for header text in details
+                    label: "data-label",       // optional override for header text in details
+                    hideBelow: "data-hide-below", // hide below a breakpoint (name or px)
+                    hideAbove: "data-hide-above", // hide at/above a breakpoint (name or px)
+                    sort: "data-sort",         // sorter name on <th>: number | text | date | custom | none
+                    sortValue: "data-sort-value" // raw sort value on <td> (instead of its text)
                 },
+                breakpoints: { sm: 576, md: 768, lg: 992, xl: 1200, xxl: 1400 },
+                breakpointMode: "combine",   // 'combine' (rules + width fit) | 'replace' (rules only)
+                breakpointWidth: "viewport", // 'viewport' (like CSS media queries) | 'container'
                 classNames: {
                     root: "ctbl",
                     control: "ctbl-control",
@@ -990,31 +3972,57 @@
                     detail: "ctbl-detail",
                     name: "ctbl-name",
                     value: "ctbl-value",
-                    hide: "ctbl-hide"
+                    hide: "ctbl-hide",
+                    stacked: "ctbl-stacked",
+                    columnMenu: "ctbl-colmenu",
+                    columnMenuToggle: "ctbl-colmenu-toggle",
+                    sortable: "ctbl-sortable",
+                    sortButton: "ctbl-sort",
+                    filtered: "ctbl-filtered",
+                    mark: "ctbl-mark",
+                    spacer: "ctbl-spacer",
+                    spanned: "ctbl-spanned"
                 },
                 icons: {
                     expand: "+",
-                    collapse: "−"
-                },
-                strings: {
-                    toggleTitle: "Show more",
-                    show: "Show details",
-                    hide: "Hide details"
+                    collapse: "−",
+                    columns: "☰",
+                    sort: "↕",
+                    sortAsc: "▲",
+                    sortDesc: "▼"
                 },
+                locale: "en",                // string pack (CollapseTable.locales) and plural rules
+                strings: merge(LOCALES.en, {}), // labels, templates ("{count} hidden") and plural forms
                 /**
                  * Optional custom details renderer
                  * @param {HTMLTableRowElement} row
-                 * @param {{index:number,th:HTMLTableCellElement,priority:number,min:number,lock:boolean}[]} hiddenColumns
+                 * @param {{index:number,th:HTMLTableCellElement,groups:HTMLTableCellElement[],priority:number,min:number,lock:boolean}[]} hiddenColumns
                  * @param {HTMLTableCellElement[]} cells
                  * @returns {Node|string|void}
                  */
                 detailsRender: undefined,
+                /**
+                 * Optional framework mount for details panels (takes precedence over detailsRender)
+                 * @param {HTMLElement} container Empty details panel to mount into
+                 * @returns {void|(() => void)} Cleanup (unmount)
+                 */
+                detailsMount: undefined,
+                detailsContent: "copy",      // 'copy' (cell HTML) | 'clone' (nodes, unique ids) | 'move' (live nodes, moved back)
+                editable: false,             // panel form controls edit the cells' controls; 'cellchange' on commit
+                liveDetails: false,          // observe cells listed in open panels; bind panel form controls to the cells'
+                sanitizeHtml: undefined,     // (html) => safe html / TrustedHTML, for details HTML strings
+                trustedTypes: false,         // true | policy name: write HTML through a Trusted Types policy
+                persist: {
+                    storage: null,           // 'local' | 'session' | 'memory' | { getItem, setItem, removeItem }
+                    prefix: "ctbl:",         // storage key prefix
+                    id: ""                   // storage id (defaults to the table id)
+                },
                 /** @type {CollapseTableMode} */
                 mode: CTBL_MODE_PROD // default to production
             };
 
             /** @type {CollapseTableOptions} */
-            this.options = merge(this.defaults, globalOptions);
+            this.options = mergeOptions(this.defaults, globalOptions);
             /** @type {CollapseTableMode} */
             this._mode = normalizeMode(this.options.mode); // runtime mode; controls dev warnings
 
@@ -1070,7 +4078,7 @@
 
             if (this._tables.has(el)) {
                 const ctrl = this._tables.get(el);
-                ctrl.options = merge(this.options, perTableOptions);
+                ctrl.options = mergeOptions(this.options, perTableOptions);
                 // Recompute selector if toggle classes were changed
                 ctrl._toggleSelector = buildButtonClassSelector(ctrl.options.classNames.toggle);
                 // apply tableLayout inline if changed
@@ -1082,7 +4090,7 @@
                 return ctrl;
             }
 
-            const merged = merge(this.options, perTableOptions);
+            const merged = mergeOptions(this.options, perTableOptions);
             const controller = new TableController(el, merged, this._emit.bind(this), this._mode);
             this._tables.set(el, controller);
             return controller;
@@ -1127,6 +4135,78 @@
             for (const el of list) this.unset(el);
         }
 
+        /**
+         * Set every table marked with `attribute`, now (once the document is parsed) and whenever one
+         * is added later; tables removed from the document or losing the attribute are unset.
+         * Per-table options: JSON in the attribute value, then scalar options as `data-ct-*`
+         * attributes (`data-ct-table-layout="fixed"` or `data-ct-layout`, `data-ct-accordion`, …).
+         * @param {{attribute?:string, prefix?:string, root?:(Document|Element)}} [config]
+         *   `attribute` (default `data-collapsetable`), option attribute `prefix` (default `data-ct-`),
+         *   `root` to scan and watch (default `document`).
+         * @returns {() => void} Stops watching; tables set so far stay set.
+         * @example
+         * // <table data-collapsetable='{"accordion": true}' data-ct-layout="fixed">
+         * const stop = new CollapseTable().autoInit();
+         */
+        autoInit(config = {}) {
+            const attribute = config.attribute || "data-collapsetable";
+            const prefix = config.prefix || "data-ct-";
+            const root = config.root || document;
+            const selector = `table[${attribute}]`;
+            /** @type {Set<HTMLTableElement>} */
+            const auto = new Set(); // tables set by this auto-init
+
+            const setUp = (table) => {
+                if (this._tables.has(table)) return;
+                try {
+                    this.set(table, merge(readJsonOption(table, attribute, this._mode), readAttributeOptions(table, prefix, this.defaults, OPTION_ALIASES)));
+                    auto.add(table);
+                } catch (err) {
+                    if (this._mode === CTBL_MODE_DEV) {
+                        oncePerTable(table, "auto-init-warn", () => console.warn("CollapseTable: auto-init skipped a table.", table, err));
+                    }
+                }
+            };
+            const scan = (node) => {
+                if (node.nodeType !== 1) return;
+                if (node.matches(selector)) setUp(node);
+                if (node.getElementsByTagName("table").length) node.querySelectorAll(selector).forEach(setUp);
+            };
+            // Moved tables are still connected when the records arrive, and stay set
+            const sweep = () => auto.forEach(table => {
+                if (table.isConnected && table.hasAttribute(attribute)) return;
+                auto.delete(table);
+                this.unset(table);
+            });
+
+            const observer = new MutationObserver((records) => {
+                let removed = false;
+                for (const m of records) {
+                    if (m.type === "attributes") {
+                        if (m.target.hasAttribute(attribute)) scan(m.target);
+                        else removed = true;
+                        continue;
+                    }
+                    m.addedNodes.forEach(scan);
+                    if (m.removedNodes.length) removed = true;
+                }
+                if (removed) sweep();
+            });
+            const start = () => {
+                root.querySelectorAll(selector).forEach(setUp);
+                const target = root.nodeType === 9 ? /** @type {Document} */(root).documentElement : root;
+                observer.observe(target, { childList: true, subtree: true, attributes: true, attributeFilter: [attribute] });
+            };
+
+            // Tables are set complete: wait for the parser
+            if (document.readyState === "loading") document.addEventListener("DOMContentLoaded", start, { once: true });
+            else start();
+            return () => {
+                document.removeEventListener("DOMContentLoaded", start);
+                observer.disconnect();
+            };
+        }
+
         /**
          * Refresh (re-measure + refit).
          * @param {string|HTMLTableElement} [target] If omitted, refreshes all attached tables.
@@ -1206,6 +4286,50 @@
             if (ctrl) ctrl.collapseRow(rowOrIndex);
         }
 
+        /**
+         * Filter the rows of a table (details rows are hidden with their rows).
+         * @param {string|HTMLTableElement} target Table reference.
+         * @param {CollapseTableFilter|null} query Text query or predicate; empty / null clears the filter.
+         * @param {{expand?:boolean}} [options] `expand`: expand rows matching only in collapsed columns.
+         * @returns {{matched:number, total:number}|null} Data row counts, or null if the table is not attached.
+         * @example
+         * ct.filter('#orders', 'pending', { expand: true });
+         */
+        filter(target, query, options) {
+            const el = toElement(target);
+            const ctrl = el && this._tables.get(el);
+            return ctrl ? ctrl.filter(query, options) : null;
+        }
+
+        /**
+         * Highlight matches of a text query in cells and details panels of a table.
+         * @param {string|HTMLTableElement} target Table reference.
+         * @param {string|null} query Text to mark; empty / null removes all marks.
+         * @param {{expand?:boolean}} [options] `expand: false` keeps rows with matches in collapsed columns closed.
+         * @returns {{matches:number, rows:number}|null} Match counts, or null if the table is not attached.
+         * @example
+         * searchInput.addEventListener('input', () => ct.highlight('#orders', searchInput.value));
+         */
+        highlight(target, query, options) {
+            const el = toElement(target);
+            const ctrl = el && this._tables.get(el);
+            return ctrl ? ctrl.highlight(query, options) : null;
+        }
+
+        /**
+         * Sort the rows of a table by a column (rows keep their details rows).
+         * @param {string|HTMLTableElement} target Table reference.
+         * @param {number|HTMLTableCellElement} column Column index or header cell.
+         * @param {'asc'|'desc'} [direction] Omitted: ascending, or flip the current direction.
+         * @example
+         * ct.sort('#orders', 3, 'desc');
+         */
+        sort(target, column, direction) {
+            const el = toElement(target);
+            const ctrl = el && this._tables.get(el);
+            if (ctrl) ctrl.sort(column, direction);
+        }
+
         /**
          * Get current global options (cloned).
          * Includes current `mode`.
@@ -1233,9 +4357,9 @@
                 const { mode, ...rest } = partial;
                 partial = /** @type {any} */(rest);
             }
-            this.options = merge(this.options, partial);
+            this.options = mergeOptions(this.options, partial);
             this._tables.forEach((ctrl) => {
-                ctrl.options = merge(ctrl.options, partial);
+                ctrl.options = mergeOptions(ctrl.options, partial);
                 // Recompute selector if toggle classes changed globally
                 if (partial && partial.classNames && typeof partial.classNames.toggle === 'string') {
                     ctrl._toggleSelector = buildButtonClassSelector(ctrl.options.classNames.toggle);
@@ -1249,10 +4373,11 @@
 
         /**
          * Subscribe to library events.
-         * @param {CollapseTableEvent} event Event name: 'expand' | 'collapse' | 'toggle' | 'refit' | 'destroy'
-         * @param {(payload:any)=>void} handler Callback to receive the payload.
+         * @param {CollapseTableEvent} event Event name: 'beforeexpand' | 'expand' | 'beforecollapse' | 'collapse' | 'toggle' | 'refit' | 'layoutchange' | 'columnchange' | 'sort' | 'filter' | 'cellchange' | 'destroy'
+         * @param {(payload:any)=>void|boolean} handler Callback to receive the payload; return `false` from a `before*` handler to veto.
          * @example
          * ct.on('toggle', ({ table, row, expanded }) => { console.log(expanded); });
+         * ct.on('beforeexpand', ({ row }) => !row.classList.contains('locked'));
          */
         on(event, handler) {
             if (!this._events[event]) this._events[event] = new Set();
@@ -1271,15 +4396,81 @@
             this._events[event].delete(handler);
         }
 
+        /**
+         * Call `on()` handlers, then dispatch a bubbling `ctbl:<event>` CustomEvent on the table.
+         * @param {CollapseTableEvent} event
+         * @param {any} detail Payload (always has `table`).
+         * @returns {boolean} false when a cancelable (`before*`) event was vetoed.
+         */
         _emit(event, detail) {
-            if (!this._events[event]) return;
-            for (const fn of this._events[event]) {
+            const cancelable = event.indexOf("before") === 0;
+            for (const fn of Array.from(this._events[event] || [])) {
                 try {
-                    fn(detail);
-                } catch (_) {
-                    // swallow user-land errors to keep core robust
+                    if (fn(detail) === false && cancelable) return false;
+                } catch (err) {
+                    // keep core robust; surface the error while integrating
+                    if (this._mode === CTBL_MODE_DEV) console.error(`CollapseTable: "${event}" handler threw.`, err);
                 }
             }
+            const table = detail && detail.table;
+            if (!table || typeof CustomEvent !== "function") return true;
+            return table.dispatchEvent(new CustomEvent(`ctbl:${event}`, { detail, bubbles: true, cancelable }));
+        }
+
+        /**
+         * Built-in fit strategies, e.g. to wrap one in a custom `fitStrategy`.
+         * @returns {{greedy:CollapseTableFitStrategy, priority:CollapseTableFitStrategy, count:CollapseTableFitStrategy}}
+         */
+        static get fitStrategies() {
+            return Object.assign({}, FIT_STRATEGIES);
+        }
+
+        /**
+         * Built-in string packs by language, used by the `locale` option. Add or extend packs here
+         * before setting tables up; keys a pack leaves out fall back to English.
+         * @returns {Record<string, CollapseTableStrings>}
+         * @example
+         * CollapseTable.locales.it = { toggleTitle: 'Mostra altro', hiddenCount: { one: '{count} nascosta', other: '{count} nascoste' } };
+         * ct.set('#t', { locale: 'it' });
+         */
+        static get locales() {
+            return LOCALES;
+        }
+
+        /**
+         * Render a table description as markup the library adopts as-is when the table is set
+         * (server-side rendering): control column, toggle buttons, columns hidden at an expected
+         * width, details rows of expanded rows. Pure (no DOM access), so it runs in Node.
+         * @param {CollapseTableMarkup} description Columns, rows and the expected width.
+         * @param {CollapseTableOptions} [options] Options the table is set with on the client.
+         * @returns {string} `<table>` HTML.
+         * @example
+         * const html = CollapseTable.renderMarkup({
+         *   id: 'orders', width: 'md',
+         *   columns: [{ label: 'Name', priority: 1 }, { label: 'Email', priority: 3, min: 220 }],
+         *   rows: [{ key: 'a1', cells: ['Alice', 'alice@example.com'] }]
+         * });
+         */
+        static renderMarkup(description, options = {}) {
+            return renderTableMarkup(description || { columns: [], rows: [] }, new CollapseTable(options).options);
+        }
+
+        /**
+         * Register the `<collapse-table>` custom element: it sets up the `<table>` it wraps,
+         * takes options from attributes (`control-width`, `table-layout`, `mode`, `accordion`, …,
+         * or JSON in `options`), reflects `expanded` / `layout`, re-dispatches events as
+         * `ctbl:<event>` CustomEvents and cleans up when removed. Done automatically when the
+         * library is loaded with a script tag.
+         * @param {string} [name="collapse-table"] Element name.
+         * @returns {CustomElementConstructor|null} The element class (null without Custom Elements support).
+         */
+        static defineElement(name = "collapse-table") {
+            if (typeof customElements === "undefined") return null;
+            const existing = customElements.get(name);
+            if (existing) return existing;
+            const element = createElementClass();
+            customElements.define(name, element);
+            return element;
         }
 
         /** Library version string. */
@@ -1288,5 +4479,183 @@
         }
     }
 
+    /** ========================================================================
+     * Declarative Setup (auto-init, <collapse-table>)
+     * ======================================================================= */
+
+    /** @type {CollapseTableEvent[]} */
+    const ELEMENT_REFLECT_EVENTS = ["toggle", "layoutchange"];
+
+    /** Options only read when a table is set up: `<collapse-table>` sets its table up again when one changes. */
+    const SETUP_OPTION_KEYS = ["controlWidth", "sizeSource", "deferWhenHidden", "measure", "virtualize", "virtualThreshold", "hideMode", "columnMenu", "keyboard", "sortable", "detailsContent"];
+
+    /** Short attribute names accepted by auto-init (`data-ct-layout="fixed"`). */
+    const OPTION_ALIASES = { layout: "tableLayout" };
+
+    /** Attribute name of an option (controlWidth -> control-width). */
+    const toAttrName = (key) => key.replace(/[A-Z]/g, c => "-" + c.toLowerCase());
+
+    /** Options settable by attribute: the scalar ones (objects and functions go in JSON). */
+    const scalarOptionKeys = (defaults) =>
+        Object.keys(defaults).filter(k => defaults[k] === null || ["number", "boolean", "string"].indexOf(typeof defaults[k]) !== -1);
+
+    /**
+     * Attribute value to an option value, typed like the option's default: numbers, booleans
+     * (`""` / `"true"` / `"false"`; other values stay strings, e.g. `accordion="tbody"`), strings.
+     */
+    function parseAttributeOption(value, fallback) {
+        if (typeof fallback === "number") {
+            const n = Number(value);
+            return Number.isFinite(n) ? n : fallback;
+        }
+        if (typeof fallback === "boolean") return value === "" || value === "true" ? true : (value === "false" ? false : value);
+        return value;
+    }
+
+    /**
+     * Scalar options present as attributes (`<prefix><kebab-name>`).
+     * @param {Element} el
+     * @param {string} prefix
+     * @param {Record<string, any>} defaults
+     * @param {Record<string, string>} [aliases] Extra attribute names (without prefix) by option key they set.
+     * @returns {Record<string, any>}
+     */
+    function readAttributeOptions(el, prefix, defaults, aliases = {}) {
+        const options = {};
+        for (const key of scalarOptionKeys(defaults)) {
+            const value = el.getAttribute(prefix + toAttrName(key));
+            if (value !== null) options[key] = parseAttributeOption(value, defaults[key]);
+        }
+        Object.keys(aliases).forEach(alias => {
+            const value = el.getAttribute(prefix + alias);
+            const key = aliases[alias];
+            if (value !== null && !(key in options)) options[key] = parseAttributeOption(value, defaults[key]);
+        });
+        return options;
+    }
+
+    /**
+     * JSON options in an attribute ({} when absent or invalid).
+     * @param {Element} el
+     * @param {string} name
+     * @param {CollapseTableMode} mode Invalid JSON warns (once per element) in development mode.
+     * @returns {Record<string, any>}
+     */
+    function readJsonOption(el, name, mode) {
+        const raw = (el.getAttribute(name) || "").trim();
+        if (!raw) return {};
+        try {
+            return JSON.parse(raw);
+        } catch (err) {
+            if (mode === CTBL_MODE_DEV) {
+                oncePerTable(el, `json-warn:${name}`, () => console.warn(`CollapseTable: ${name} attribute is not valid JSON.`, err));
+            }
+            return {};
+        }
+    }
+
+    /**
+     * Build the `<collapse-table>` element class. Created on demand: it extends HTMLElement,
+     * which only exists in a browser.
+     * @returns {CustomElementConstructor}
+     */
+    function createElementClass() {
+        const defaults = new CollapseTable().defaults;
+        const keys = scalarOptionKeys(defaults); // objects and functions go in the `options` JSON attribute
+
+        return class CollapseTableElement extends HTMLElement {
+            static get observedAttributes() {
+                return keys.map(toAttrName).concat(["options", "expanded"]);
+            }
+
+            constructor() {
+                super();
+                this._ct = null; // CollapseTable instance for the wrapped table
+                this._ctrl = null;
+                this._table = null;
+                this._reflecting = false; // writing `expanded` ourselves
+                this._observer = null;
+            }
+
+            /** Controller of the wrapped table (null until a table is set). */
+            get controller() {
+                return this._ctrl;
+            }
+
+            connectedCallback() {
+                if (!this.style.display) this.style.display = "block"; // the table is fitted to its parent
+                // Upgraded while the page is parsed: the table may not be complete yet
+                if (document.readyState === "loading") {
+                    document.addEventListener("DOMContentLoaded", () => this.isConnected && this._attach(), { once: true });
+                } else {
+                    this._attach();
+                }
+                if (!this._observer) this._observer = new MutationObserver(() => this._attach());
+                this._observer.observe(this, { childList: true }); // table added or replaced
+            }
+
+            disconnectedCallback() {
+                if (this._observer) this._observer.disconnect();
+                this._detach();
+            }
+
+            attributeChangedCallback(name, oldValue, value) {
+                if (!this._ctrl || oldValue === value) return;
+                if (name === "expanded") {
+                    if (!this._reflecting) this._ctrl.setState({ expanded: String(value || "").split(/\s+/).filter(Boolean) });
+                    return;
+                }
+                const options = this._readOptions();
+                if (SETUP_OPTION_KEYS.some(key => options[key] !== this._ct.options[key])) {
+                    // Read at setup only: unset and set the table again (`expanded` carries the open rows over)
+                    this._detach();
+                    this._attach();
+                    return;
+                }
+                this._ct.updateOptions(options);
+            }
+
+            /** Options from attributes: defaults, then the `options` JSON, then one attribute per option. */
+            _readOptions() {
+                /** @type {Record<string, any>} */
+                const scalars = {}; // removed attributes fall back to the defaults
+                keys.forEach(key => { scalars[key] = defaults[key]; });
+                const mode = normalizeMode(this.getAttribute("mode")); // the JSON may be what's broken
+                return merge(merge(scalars, readJsonOption(this, "options", mode)), readAttributeOptions(this, "", defaults));
+            }
+
+            /** Set up the first child table (again, if it was replaced). */
+            _attach() {
+                const table = Array.from(this.children).find(el => el.tagName === "TABLE") || null;
+                if (table === this._table && this._ctrl) return;
+                this._detach();
+                if (!table) return;
+
+                const ct = new CollapseTable(this._readOptions());
+                ELEMENT_REFLECT_EVENTS.forEach(event => ct.on(event, () => this._reflect()));
+                this._ct = ct;
+                this._table = table;
+                this._ctrl = ct.set(table);
+                const expanded = this.getAttribute("expanded");
+                if (expanded !== null) this._ctrl.setState({ expanded: expanded.split(/\s+/).filter(Boolean) });
+                this._reflect();
+            }
+
+            _detach() {
+                if (this._ct && this._table) this._ct.unset(this._table);
+                this._ct = this._ctrl = this._table = null;
+            }
+
+            /** Reflect state: `expanded` (row keys) and `layout`. */
+            _reflect() {
+                if (!this._ctrl) return;
+                this._reflecting = true;
+                this.setAttribute("expanded", this._ctrl.getState().expanded.join(" "));
+                this.setAttribute("layout", this._ctrl.layout);
+                this._reflecting = false;
+            }
+        };
+    }
+
     return CollapseTable;
 });
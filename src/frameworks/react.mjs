@@ -0,0 +1,78 @@
+/*!
+ * CollapseTable.JS — React bindings: useCollapseTable() and <CollapseTable>
+ * https://github.com/CodesEasy/CollapseTable.JS
+ * MIT License
+ */
+
+import { createElement, forwardRef, Fragment, useEffect, useImperativeHandle, useLayoutEffect, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import { bindTable } from "./shared.mjs";
+
+/** Layout effect in the browser, plain effect on the server (no warning during SSR). */
+const useIsomorphicLayoutEffect = typeof window !== "undefined" ? useLayoutEffect : useEffect;
+
+/**
+ * Drive a table rendered by React. Attach `tableRef` to the `<table>` and render `details`
+ * (portals into the open panels) anywhere in the same component.
+ *
+ * `options` are read when the table mounts; remount (change the `key`) to apply new ones.
+ * With `expanded`, expansion is controlled: user toggles call `onExpandedChange` and only the keys
+ * you pass back are open. Without it, `defaultExpanded` seeds the state and changes are reported.
+ * @param {{options?:Object, expanded?:string[], defaultExpanded?:string[], onExpandedChange?:(keys:string[]) => void, renderDetails?:(panel:import("./shared.mjs").CollapseTablePanel) => any}} [params]
+ * @returns {{tableRef:{current:HTMLTableElement|null}, controller:Object|null, details:any[]}}
+ */
+export function useCollapseTable(params = {}) {
+    const tableRef = useRef(null);
+    const latest = useRef(params);
+    latest.current = params;
+    const [binding, setBinding] = useState(null);
+    const [panels, setPanels] = useState([]);
+
+    useIsomorphicLayoutEffect(() => {
+        const table = tableRef.current;
+        if (!table) return undefined;
+        const bound = bindTable(table, {
+            options: latest.current.options,
+            renderDetails: typeof latest.current.renderDetails === "function",
+            onPanels: setPanels,
+            isControlled: () => latest.current.expanded !== undefined,
+            onExpandedChange: (keys) => {
+                if (latest.current.onExpandedChange) latest.current.onExpandedChange(keys);
+            }
+        });
+        const initial = latest.current.expanded !== undefined ? latest.current.expanded : latest.current.defaultExpanded;
+        if (initial) bound.setExpanded(initial);
+        setBinding(bound);
+        return () => {
+            bound.destroy();
+            setPanels([]);
+        };
+    }, []);
+
+    // Controlled: the owner's keys are the table's
+    const expandedKey = params.expanded ? params.expanded.join("\n") : null;
+    useIsomorphicLayoutEffect(() => {
+        if (binding && params.expanded !== undefined) binding.setExpanded(params.expanded);
+    }, [binding, expandedKey]);
+
+    const render = params.renderDetails;
+    const details = typeof render === "function"
+        ? panels.map((panel, i) => createPortal(render(panel), panel.container, panel.key !== null ? panel.key : `ctbl-${i}`))
+        : [];
+
+    return { tableRef, controller: binding ? binding.controller : null, details };
+}
+
+/**
+ * `<table>` driven by CollapseTable. Children are the table content (header with an empty
+ * `<th className="ctbl-control">`, rows with `data-ctbl-key` and an empty `<td className="ctbl-control">`);
+ * other props go to the `<table>`. The ref exposes the controller.
+ */
+export const CollapseTable = forwardRef(function CollapseTable(props, ref) {
+    const { options, expanded, defaultExpanded, onExpandedChange, renderDetails, children, ...tableProps } = props;
+    const { tableRef, controller, details } = useCollapseTable({ options, expanded, defaultExpanded, onExpandedChange, renderDetails });
+    useImperativeHandle(ref, () => controller, [controller]);
+    return createElement(Fragment, null, createElement("table", Object.assign({}, tableProps, { ref: tableRef }), children), details);
+});
+
+export default CollapseTable;
@@ -0,0 +1,102 @@
+/*!
+ * CollapseTable.JS — framework bindings (shared by the React, Vue and Svelte wrappers)
+ * https://github.com/CodesEasy/CollapseTable.JS
+ * MIT License
+ */
+
+import CollapseTable from "@codeseasy/collapsetable";
+
+/**
+ * @typedef {Object} CollapseTablePanel An open details panel a wrapper renders framework content into.
+ * @property {HTMLElement} container Details panel element (the library leaves it to the framework).
+ * @property {HTMLTableRowElement} row Data row the panel belongs to.
+ * @property {string|null} key Row key (`data-ctbl-key`).
+ * @property {Array<Object>} hiddenColumns Collapsed columns shown in the panel.
+ * @property {HTMLTableCellElement[]} cells Row cells by column index.
+ */
+
+/**
+ * @typedef {Object} CollapseTableBinding
+ * @property {Object} controller Table controller (`set()` result).
+ * @property {(keys:string[]) => void} setExpanded Apply expanded row keys (controlled mode).
+ * @property {() => void} destroy Unset the table.
+ */
+
+/** Options the wrappers default to: hiding by scoped stylesheet keeps framework-owned cells untouched. */
+export const WRAPPER_DEFAULTS = { hideMode: "stylesheet" };
+
+const sameKeys = (a, b) => a.length === b.length && a.every(k => b.indexOf(k) !== -1);
+
+/**
+ * Attach CollapseTable to a table rendered by a framework.
+ *
+ * Details: with `renderDetails`, panels are handed to the framework (`detailsMount`) and reported
+ * through `onPanels` whenever one opens or closes.
+ *
+ * Expansion: while `isControlled()` is true, toggles by the user become requests — the row keeps its
+ * state, `onExpandedChange` gets the requested keys, and the owner applies them with `setExpanded`.
+ * Otherwise `onExpandedChange` reports each toggle. Rows need a `data-ctbl-key` to be controlled.
+ * @param {HTMLTableElement} table
+ * @param {{options?:Object, renderDetails?:boolean, onPanels?:(panels:CollapseTablePanel[]) => void, isControlled?:() => boolean, onExpandedChange?:(keys:string[]) => void}} params
+ * @returns {CollapseTableBinding}
+ */
+export function bindTable(table, params) {
+    const ct = new CollapseTable();
+    const keyOf = (row) => row.getAttribute("data-ctbl-key");
+    let panels = [];
+    let applying = false; // setExpanded() is toggling rows
+    let destroyed = false;
+
+    const setPanels = (next) => {
+        panels = next;
+        if (!destroyed && params.onPanels) params.onPanels(panels);
+    };
+    const detailsMount = (container, row, hiddenColumns, cells) => {
+        const panel = { container, row, key: keyOf(row), hiddenColumns, cells };
+        setPanels(panels.concat(panel));
+        return () => setPanels(panels.filter(p => p !== panel));
+    };
+
+    const options = Object.assign({}, WRAPPER_DEFAULTS, params.options);
+    if (params.renderDetails) options.detailsMount = detailsMount;
+    const controller = ct.set(table, options);
+
+    const controlled = () => !applying && !!params.isControlled && params.isControlled();
+    const report = (keys) => {
+        if (!destroyed && params.onExpandedChange) params.onExpandedChange(keys);
+    };
+    const request = (e, open) => {
+        const key = keyOf(e.row);
+        if (!controlled() || key === null) return;
+        const keys = controller.getState().expanded.filter(k => k !== key);
+        if (open) keys.push(key);
+        report(keys);
+        return false; // the owner decides
+    };
+    ct.on("beforeexpand", (e) => request(e, true));
+    ct.on("beforecollapse", (e) => request(e, false));
+    ct.on("toggle", () => {
+        if (!applying) report(controller.getState().expanded);
+    });
+
+    return {
+        controller,
+        setExpanded(keys) {
+            const want = Array.from(keys || [], String);
+            if (sameKeys(controller.getState().expanded, want)) return;
+            applying = true;
+            try {
+                controller.setState({ expanded: want });
+            } finally {
+                applying = false;
+            }
+            // The table may differ from what was asked (accordion, vetoes): tell the owner
+            const actual = controller.getState().expanded;
+            if (!sameKeys(actual, want)) report(actual);
+        },
+        destroy() {
+            destroyed = true;
+            ct.unset(table);
+        }
+    };
+}
@@ -0,0 +1,61 @@
+/*!
+ * CollapseTable.JS — Svelte 5 bindings: use:collapseTable and <CollapseTable>
+ * https://github.com/CodesEasy/CollapseTable.JS
+ * MIT License
+ */
+
+import { mount, unmount } from "svelte";
+import { bindTable } from "./shared.mjs";
+
+export { default as CollapseTable } from "./CollapseTable.svelte";
+
+/**
+ * Action driving a table rendered by Svelte: `<table use:collapseTable={{ options, details, expanded, onexpandedchange }}>`.
+ *
+ * `details` is a component mounted into each open panel with `{ row, key, hiddenColumns, cells }` props.
+ * `options` are read when the action starts. With `expanded`, expansion is controlled: user toggles
+ * call `onexpandedchange` and only the keys passed back are open.
+ * @param {HTMLTableElement} table
+ * @param {{options?:Object, details?:any, expanded?:string[], onexpandedchange?:(keys:string[]) => void}} [params]
+ */
+export function collapseTable(table, params = {}) {
+    let current = params || {};
+    /** @type {Map<Object, Object>} */
+    const mounted = new Map(); // panel -> component instance
+
+    const syncPanels = (panels) => {
+        mounted.forEach((instance, panel) => {
+            if (panels.indexOf(panel) !== -1) return;
+            mounted.delete(panel);
+            unmount(instance);
+        });
+        for (const panel of panels) {
+            if (mounted.has(panel) || !current.details) continue;
+            const { row, key, hiddenColumns, cells } = panel;
+            mounted.set(panel, mount(current.details, { target: panel.container, props: { row, key, hiddenColumns, cells } }));
+        }
+    };
+
+    const binding = bindTable(table, {
+        options: current.options,
+        renderDetails: !!current.details,
+        onPanels: syncPanels,
+        isControlled: () => current.expanded !== undefined,
+        onExpandedChange: (keys) => {
+            if (current.onexpandedchange) current.onexpandedchange(keys);
+        }
+    });
+    if (current.expanded !== undefined) binding.setExpanded(current.expanded);
+
+    return {
+        update(next) {
+            current = next || {};
+            if (current.expanded !== undefined) binding.setExpanded(current.expanded);
+        },
+        destroy() {
+            mounted.forEach(instance => unmount(instance));
+            mounted.clear();
+            binding.destroy();
+        }
+    };
+}
@@ -0,0 +1,85 @@
+/*!
+ * CollapseTable.JS — Vue 3 bindings: useCollapseTable() and <CollapseTable>
+ * https://github.com/CodesEasy/CollapseTable.JS
+ * MIT License
+ */
+
+import { defineComponent, h, onBeforeUnmount, onMounted, shallowRef, Teleport, unref, watch } from "vue";
+import { bindTable } from "./shared.mjs";
+
+/**
+ * Drive a table rendered by Vue. Call from `setup()` with a template ref to the `<table>`;
+ * render `panels` with `<Teleport :to="panel.container">` to fill the open details panels.
+ *
+ * `options` are read when the table mounts. With `expanded` (a ref or getter), expansion is
+ * controlled: user toggles call `onExpandedChange` and only the keys you set are open.
+ * @param {{value:HTMLTableElement|null}} tableRef
+ * @param {{options?:Object, expanded?:any, onExpandedChange?:(keys:string[]) => void, details?:boolean}} [params]
+ * @returns {{controller:{value:Object|null}, panels:{value:import("./shared.mjs").CollapseTablePanel[]}}}
+ */
+export function useCollapseTable(tableRef, params = {}) {
+    const controller = shallowRef(null);
+    const panels = shallowRef([]);
+    const expanded = () => (typeof params.expanded === "function" ? params.expanded() : unref(params.expanded));
+    let binding = null;
+
+    onMounted(() => {
+        binding = bindTable(tableRef.value, {
+            options: params.options,
+            renderDetails: !!params.details,
+            onPanels: (next) => { panels.value = next; },
+            isControlled: () => expanded() !== undefined,
+            onExpandedChange: (keys) => {
+                if (params.onExpandedChange) params.onExpandedChange(keys);
+            }
+        });
+        if (expanded() !== undefined) binding.setExpanded(expanded());
+        controller.value = binding.controller;
+    });
+    watch(() => (expanded() || []).join("\n"), () => {
+        if (binding && expanded() !== undefined) binding.setExpanded(expanded());
+    });
+    onBeforeUnmount(() => {
+        if (binding) binding.destroy();
+        binding = null;
+        controller.value = null;
+        panels.value = [];
+    });
+
+    return { controller, panels };
+}
+
+/**
+ * `<table>` driven by CollapseTable. The default slot is the table content (header with an empty
+ * `<th class="ctbl-control">`, rows with `data-ctbl-key` and an empty `<td class="ctbl-control">`);
+ * the `details` slot renders into open panels (`{ row, key, hiddenColumns, cells }`).
+ * `v-model:expanded` controls expansion; attributes go to the `<table>`.
+ */
+export const CollapseTable = defineComponent({
+    name: "CollapseTable",
+    inheritAttrs: false,
+    props: {
+        options: { type: Object, default: undefined },
+        expanded: { type: Array, default: undefined }
+    },
+    emits: ["update:expanded", "ready"],
+    setup(props, { attrs, emit, expose, slots }) {
+        const table = shallowRef(null);
+        const { controller, panels } = useCollapseTable(table, {
+            options: props.options,
+            expanded: () => props.expanded,
+            onExpandedChange: (keys) => emit("update:expanded", keys),
+            details: !!slots.details
+        });
+        watch(controller, (value) => { if (value) emit("ready", value); });
+        expose({ controller });
+        return () => [
+            h("table", Object.assign({}, attrs, { ref: table }), slots.default ? slots.default() : []),
+            ...(slots.details
+                ? panels.value.map((panel, i) => h(Teleport, { to: panel.container, key: panel.key !== null ? panel.key : `ctbl-${i}` }, slots.details(panel)))
+                : [])
+        ];
+    }
+});
+
+export default CollapseTable;
@@ -48,6 +48,14 @@ declare class CollapseTable {
     /** Remove behavior and cleanup from many tables (same targets as `setAll`). */
     unsetAll(targets: CollapseTable.Targets): void;
 
+    /**
+     * Set every table marked with `attribute` (default `data-collapsetable`), now and when added later;
+     * tables removed from the document (or losing the attribute) are unset. Options per table: JSON in
+     * the attribute value, then scalar options as `data-ct-*` attributes (`data-ct-table-layout`, `data-ct-layout`).
+     * @returns A function that stops watching (tables stay set).
+     */
+    autoInit(config?: CollapseTable.AutoInitConfig): () => void;
+
     /**
      * Re-measure and refit columns.
      * If `target` is omitted, refreshes all attached tables.
@@ -84,6 +92,36 @@ declare class CollapseTable {
         rowOrIndex: number | HTMLTableRowElement
     ): void;
 
+    /**
+     * Filter the rows of a table; details rows are hidden with their rows.
+     * Returns data row counts, or null if the table is not attached.
+     */
+    filter(
+        target: string | HTMLTableElement,
+        query: CollapseTable.Filter | null,
+        options?: CollapseTable.FilterOptions
+    ): CollapseTable.FilterResult | null;
+
+    /**
+     * Highlight matches of `query` in the cells and details panels of a table (empty / null clears).
+     * Returns match counts, or null if the table is not attached.
+     */
+    highlight(
+        target: string | HTMLTableElement,
+        query: string | null,
+        options?: CollapseTable.HighlightOptions
+    ): CollapseTable.HighlightResult | null;
+
+    /**
+     * Sort the rows of a table by a column (details rows move with their rows).
+     * `direction` omitted: ascending, or the opposite of the current direction for that column.
+     */
+    sort(
+        target: string | HTMLTableElement,
+        column: number | HTMLTableCellElement,
+        direction?: CollapseTable.SortDirection
+    ): void;
+
     /** Get a clone of the current global options (includes current `mode`). */
     getOptions(): CollapseTable.Options;
 
@@ -116,16 +154,47 @@ declare class CollapseTable {
     /* ----------------
      * Events (strongly typed via EventsMap)
      * --------------*/
+    /**
+     * Every event is also dispatched on the table as a bubbling `ctbl:<event>` CustomEvent
+     * (cancelable for `beforeexpand` / `beforecollapse`).
+     * Return `false` from a `before*` handler to veto the expand/collapse.
+     */
     on<K extends CollapseTable.Event>(
         event: K,
-        handler: (e: CollapseTable.EventsMap[K]) => void
+        handler: (e: CollapseTable.EventsMap[K]) => void | boolean
     ): void;
 
     off<K extends CollapseTable.Event>(
         event: K,
-        handler: (e: CollapseTable.EventsMap[K]) => void
+        handler: (e: CollapseTable.EventsMap[K]) => void | boolean
     ): void;
 
+    /** Built-in fit strategies (e.g. to wrap one in a custom `fitStrategy`). */
+    static readonly fitStrategies: {
+        greedy: CollapseTable.FitStrategy;
+        priority: CollapseTable.FitStrategy;
+        count: CollapseTable.FitStrategy;
+    };
+
+    /**
+     * Built-in string packs by language (`en`, `de`, `es`, `fr`, `he`, `ar`), used by the `locale` option.
+     * Add or extend packs before setting tables up.
+     */
+    static readonly locales: Record<string, CollapseTable.Strings>;
+
+    /**
+     * Render a table description as markup the library adopts without re-creating nodes when
+     * the table is set (server-side rendering). Pure: no DOM access, runs in Node.
+     * @param options Options the table is set with on the client (class names, strings, fitting).
+     */
+    static renderMarkup(description: CollapseTable.Markup, options?: CollapseTable.Options): string;
+
+    /**
+     * Register the `<collapse-table>` custom element (done automatically when loaded with a
+     * script tag). Returns the element class, or null without Custom Elements support.
+     */
+    static defineElement(name?: string): CustomElementConstructor | null;
+
     /** Library version string (e.g., `"1.2.0"`). */
     static readonly version: string;
 }
@@ -138,6 +207,170 @@ declare namespace CollapseTable {
     /** Runtime mode controlling developer warnings and diagnostics. */
     type Mode = "development" | "production";
 
+    /** A Trusted Types `TrustedHTML` value, declared structurally (the standard DOM lib doesn't have it). */
+    interface TrustedHTML {
+        toString(): string;
+    }
+
+    /** Column metadata handed to fit strategies. */
+    interface FitColumn {
+        /** logical column index (the control column is 0). */
+        index: number;
+        /** min width in px. */
+        min: number;
+        priority: number;
+        /** locked columns are never hidden. */
+        lock: boolean;
+    }
+
+    /**
+     * Decide which columns to hide for the available width (px).
+     * Locked columns and the control column stay visible whatever is returned.
+     */
+    type FitStrategy = (columns: FitColumn[], available: number) => Set<number> | number[];
+
+    /** Sort direction. */
+    type SortDirection = "asc" | "desc";
+
+    /**
+     * Compare two sort values (`data-sort-value` or cell text).
+     * Empty values always sort last; ties keep their current order.
+     */
+    type Sorter = (a: string, b: string, cellA: HTMLTableCellElement, cellB: HTMLTableCellElement) => number;
+
+    /** Row filter: a case-insensitive text query (all cells, collapsed columns included) or a predicate. */
+    type Filter = string | ((row: HTMLTableRowElement, cells: HTMLTableCellElement[]) => boolean);
+
+    /** Options for `filter()`. */
+    interface FilterOptions {
+        /** expand rows whose match is only in collapsed columns (collapsed again by the next `filter()`). */
+        expand?: boolean;
+    }
+
+    /** Data row counts returned by `filter()`. */
+    interface FilterResult {
+        matched: number;
+        total: number;
+    }
+
+    /** Options for `highlight()`. */
+    interface HighlightOptions {
+        /**
+         * expand rows with a match in a collapsed column (default `true`);
+         * collapsed again by the next `highlight()`.
+         */
+        expand?: boolean;
+    }
+
+    /** Counts returned by `highlight()`. */
+    interface HighlightResult {
+        /** marks added to data cells. */
+        matches: number;
+        /** rows with at least one match. */
+        rows: number;
+    }
+
+    /**
+     * A message: a template with `{name}` placeholders, plural forms keyed by `Intl.PluralRules`
+     * category, or a function of the parameters.
+     */
+    type Message<P> = string | Partial<Record<Intl.LDMLPluralRule, string>> | ((params: P) => string);
+
+    /** Visible and screen-reader strings. */
+    interface Strings {
+        toggleTitle?: string;
+        show?: string;
+        hide?: string;
+        /** hidden-column count in the toggle label (default `"{count} hidden"`). */
+        hiddenCount?: Message<{ count: number }>;
+        /** details panel label (default `"Details for {label}"`; `label`: first visible cell text). */
+        detailsFor?: Message<{ label: string }>;
+        /** details panel label for rows without visible text (default `"Row details"`). */
+        rowDetails?: string;
+        /** between label and value in details and stacked cells (default `": "`). */
+        labelSeparator?: string;
+        /** joins the labels of a cell spanning several columns (default `" / "`). */
+        labelJoin?: string;
+        /** joins group header labels and the column label in details (default `" › "`). */
+        groupSeparator?: string;
+        /** column chooser button / popover label (default `"Columns"`). */
+        columns?: string;
+        /** details sort button label prefix (default `"Sort by"`). */
+        sortBy?: string;
+        sortAscending?: string;
+        sortDescending?: string;
+    }
+
+    /** Responsive layout applied to a table: collapsed columns, or stacked cards. */
+    type Layout = "collapse" | "stack";
+
+    /** Options for `autoInit()`. */
+    interface AutoInitConfig {
+        /** attribute marking tables to set; its value may hold JSON options (default `"data-collapsetable"`). */
+        attribute?: string;
+        /** prefix of per-option attributes (default `"data-ct-"`). */
+        prefix?: string;
+        /** subtree to scan and watch (default `document`). */
+        root?: Document | Element;
+    }
+
+    /** Extra HTML attributes for `renderMarkup()` (`false` / `null` leave one out, `true` renders it bare). */
+    type MarkupAttrs = Record<string, string | number | boolean | null | undefined>;
+
+    /** Column of a `renderMarkup()` table description. */
+    interface MarkupColumn {
+        /** header text (escaped); also the details label. */
+        label?: string;
+        /** header HTML (trusted) instead of `label`. */
+        html?: string;
+        /** rendered as `data-priority`. */
+        priority?: number;
+        /** min width in px, rendered as `data-min` (`minWidthDefault` otherwise). */
+        min?: number;
+        /** breakpoint name or px, rendered as `data-hide-below`. */
+        hideBelow?: string;
+        /** breakpoint name or px, rendered as `data-hide-above`. */
+        hideAbove?: string;
+        /** sorter name, rendered as `data-sort`. */
+        sort?: string;
+        attrs?: MarkupAttrs;
+    }
+
+    /** Body cell of a `renderMarkup()` table description: plain text, or an object. */
+    type MarkupCell = string | number | {
+        /** cell text (escaped). */
+        text?: string;
+        /** cell HTML (trusted) instead of `text`. */
+        html?: string;
+        /** rendered as `data-sort-value`. */
+        sortValue?: string;
+        colspan?: number;
+        rowspan?: number;
+        attrs?: MarkupAttrs;
+    };
+
+    /** Body row of a `renderMarkup()` table description: its cells, or an object. */
+    type MarkupRow = MarkupCell[] | {
+        cells: MarkupCell[];
+        /** stable row key, rendered as `data-ctbl-key`. */
+        key?: string;
+        /** render the row expanded, with its details row (when columns are hidden). */
+        expanded?: boolean;
+        attrs?: MarkupAttrs;
+    };
+
+    /** Table description for `renderMarkup()`. */
+    interface Markup {
+        /** table id (needed for the details rows' ids and `aria-controls`). */
+        id?: string;
+        attrs?: MarkupAttrs;
+        /** data columns; the control column is added. */
+        columns: MarkupColumn[];
+        rows: MarkupRow[];
+        /** expected width (px or breakpoint name) to hide columns for; nothing is hidden without it. */
+        width?: number | string;
+    }
+
     /** Common target shapes accepted by setAll/unsetAll. */
     type Targets =
         | string
@@ -163,6 +396,95 @@ declare namespace CollapseTable {
          */
         deferWhenHidden?: boolean;
 
+        /**
+         * Element whose width bounds the table, measured instead of the parent element.
+         * A selector is matched against the table's ancestors first, then the document.
+         */
+        sizeSource?: string | Element | null;
+
+        /**
+         * How column min widths are measured when there is no `data-min` hint:
+         * `'header'` (header cell only) or `'content'` (also the max-content width of sampled body cells).
+         */
+        measure?: "header" | "content";
+
+        /** Body rows sampled (evenly spaced) per content measurement. */
+        measureSample?: number;
+
+        /** Percentile (0–100) of the sampled body cell widths used as a column's content width. 100 = widest cell. */
+        measurePercentile?: number;
+
+        /**
+         * Rows updated per animation frame on refit (default 500). Rows near the viewport are
+         * updated immediately, the rest on the following frames.
+         */
+        refitBatch?: number;
+
+        /**
+         * Render only the rows in or near the visible area of TBODYs with at least
+         * `virtualThreshold` rows; spacer rows stand in for the rest. Default `false`.
+         */
+        virtualize?: boolean;
+
+        /** Data rows a TBODY needs before it is virtualized (default 1000). */
+        virtualThreshold?: number;
+
+        /** Rows rendered beyond the visible ones, on each side (default 10). */
+        virtualOverscan?: number;
+
+        /**
+         * How hidden body columns are hidden (default `'class'`): a class on each cell, or
+         * `'stylesheet'`: scoped `nth-child` rules in a `<style>` per table, so cells re-rendered by
+         * a framework stay hidden. Rows with spanning cells are still hidden per cell.
+         */
+        hideMode?: 'class' | 'stylesheet';
+
+        /**
+         * Below this available width (px), rows render as stacked "Label: Value" cards
+         * instead of collapsing columns. `0` (default) disables the stacked layout.
+         */
+        stackBelow?: number;
+
+        /**
+         * Keep at most one row expanded: `true`/`"table"` per table, `"tbody"` per `<tbody>`.
+         * Expanding a row collapses the open one (its `collapse` event has `auto: true`).
+         * `expandAll()` is a no-op while enabled. Default `false`.
+         */
+        accordion?: boolean | "table" | "tbody";
+
+        /**
+         * Add a column chooser (button + checkbox popover) to the control header cell,
+         * letting users force columns visible or hidden. Default `false`.
+         */
+        columnMenu?: boolean;
+
+        /**
+         * How columns are chosen for hiding:
+         * - `'greedy'` (default): hide least important first, then re-show whatever fits again
+         * - `'priority'`: strict priority order, never re-show a column while a more important one is hidden
+         * - `'count'`: maximize the number of visible columns (hide widest first)
+         * - a custom `FitStrategy` function
+         */
+        fitStrategy?: "greedy" | "priority" | "count" | FitStrategy;
+
+        /**
+         * Keyboard grid mode (WAI-ARIA treegrid): the table is one tab stop (roving tabindex);
+         * Up/Down/Home/End move between rows, Right expands then enters the details panel,
+         * Left/Escape go back and collapse. Adds `role`, `aria-level`, `aria-rowindex` (removed on destroy).
+         * Read when the table is set. Default `false`.
+         */
+        keyboard?: boolean;
+
+        /**
+         * Sort rows on header click. `data-sort` on a header picks the sorter
+         * (`"text"` default, `"number"`, `"date"` or a key of `sorters`); `data-sort="none"` opts a column out.
+         * Default `false`.
+         */
+        sortable?: boolean;
+
+        /** Custom sorters referenced by name from `data-sort`. */
+        sorters?: Record<string, Sorter>;
+
         /** Attribute names read from `<th>` cells. */
         attrs?: {
             /** lower = more important; `1` is never hidden. */
@@ -171,8 +493,31 @@ declare namespace CollapseTable {
             min?: string;
             /** optional override for header text shown in details panel. */
             label?: string;
+            /** hide the column below a breakpoint (name or px), default `data-hide-below`. */
+            hideBelow?: string;
+            /** hide the column at/above a breakpoint (name or px), default `data-hide-above`. */
+            hideAbove?: string;
+            /** sorter name for the column, default `data-sort`. */
+            sort?: string;
+            /** on body cells: value to sort by instead of the text, default `data-sort-value`. */
+            sortValue?: string;
         };
 
+        /**
+         * Named breakpoints in px for `data-hide-below` / `data-hide-above`.
+         * Merged with the defaults `{ sm: 576, md: 768, lg: 992, xl: 1200, xxl: 1400 }`.
+         */
+        breakpoints?: Record<string, number>;
+
+        /**
+         * `'combine'` (default): breakpoint rules hide columns, the width fit handles the rest.
+         * `'replace'`: only breakpoint rules hide columns.
+         */
+        breakpointMode?: "combine" | "replace";
+
+        /** Width compared against breakpoints: `'viewport'` (default, like media queries) or `'container'`. */
+        breakpointWidth?: "viewport" | "container";
+
         /** CSS class hooks used by the library (override to fit your design system). */
         classNames?: {
             /** applied to the target `<table>`. */
@@ -193,20 +538,45 @@ declare namespace CollapseTable {
             value?: string;
             /** applied to hidden `th`/`td`. */
             hide?: string;
+            /** applied to the `<table>` while the stacked layout is active. */
+            stacked?: string;
+            /** column chooser popover. */
+            columnMenu?: string;
+            /** column chooser `<button>`. */
+            columnMenuToggle?: string;
+            /** sortable header cells. */
+            sortable?: string;
+            /** sort `<button>` of a collapsed column in the details panel. */
+            sortButton?: string;
+            /** rows (and their details rows) hidden by `filter()`. */
+            filtered?: string;
+            /** `<mark>` elements added by `highlight()`. */
+            mark?: string;
+            /** spacer rows standing in for rows not rendered (virtualized TBODYs). */
+            spacer?: string;
+            /** data rows with spanning cells, left out of the `hideMode: 'stylesheet'` rules. */
+            spanned?: string;
         };
 
-        /** Toggle icons (text or HTML). */
-        icons?: { expand?: string; collapse?: string };
+        /** Toggle, column chooser and sort icons (text or HTML). */
+        icons?: { expand?: string; collapse?: string; columns?: string; sort?: string; sortAsc?: string; sortDesc?: string };
+
+        /** Visible and screen-reader strings (defaults: the `locale` pack). */
+        strings?: Strings;
 
-        /** UI strings (a11y & titles). */
-        strings?: { toggleTitle?: string; show?: string; hide?: string };
+        /**
+         * Language of the strings: brings in a built-in pack (`CollapseTable.locales`, `"fr-CA"` falls back
+         * to `"fr"`) and picks plural forms. Strings passed alongside win over the pack. Default `"en"`.
+         */
+        locale?: string;
 
         /**
          * Custom details renderer to override the default "Label: Value" layout.
          * Return a `Node` (appended), an HTML `string` (innerHTML), or `void` to use default rendering.
          * @param row           The data row (`<tr>`).
          * @param hiddenColumns Metadata for currently hidden columns (excludes control column at index 0).
-         * @param cells         The cells of the data row (index 0 is the control cell).
+         * @param cells         The cells of the data row indexed by logical column (index 0 is the control cell;
+         *                      a colspan/rowspan cell appears at every column it covers).
          */
         detailsRender?: (
             row: HTMLTableRowElement,
@@ -214,6 +584,73 @@ declare namespace CollapseTable {
             cells: HTMLTableCellElement[],
         ) => Node | string | void;
 
+        /**
+         * Mount framework content (React portal, Vue/Svelte component) into a details panel instead
+         * of rendering it; takes precedence over `detailsRender`. The panel is left to you (no
+         * `highlight()` marks). Return a cleanup that removes what was mounted: it runs before the
+         * panel is rendered again (refit), on collapse, when the row goes away and on `unset`.
+         * @param container The empty details panel (`.ctbl-details-inner`).
+         */
+        detailsMount?: (
+            container: HTMLElement,
+            row: HTMLTableRowElement,
+            hiddenColumns: HiddenColumnMeta[],
+            cells: HTMLTableCellElement[],
+        ) => void | (() => void);
+
+        /**
+         * How the default renderer fills details values (default `"copy"`):
+         * - `"copy"`: the cell's HTML, re-parsed (ids duplicated, listeners lost).
+         * - `"clone"`: deep copies of the cell's nodes; ids get a `-ctbl-details` suffix and references
+         *   inside the copy (`for`, `aria-*`, …) follow.
+         * - `"move"`: the live nodes move into the panel and back into the cell on refit, collapse,
+         *   row removal and `unset` (listeners, input values and ids are kept).
+         */
+        detailsContent?: "copy" | "clone" | "move";
+
+        /**
+         * Keep open details panels in sync with their row. Changes to listed cells (text, children,
+         * attributes) update the matching detail value, or re-render a `detailsRender` panel. Form
+         * controls in a `"copy"`/`"clone"` panel stay bound to the cell's controls. A value that has
+         * focus updates when focus leaves it. Default `false`.
+         */
+        liveDetails?: boolean;
+
+        /**
+         * Inline editing from the details panel: form controls of collapsed cells are bound like
+         * `liveDetails`, panel copies carry no `name` (the cell's controls stay the ones a form
+         * submits), and a committed edit (`change`) in a cell or panel fires `cellchange`. Default `false`.
+         */
+        editable?: boolean;
+
+        /**
+         * Sanitizer for HTML strings put into details panels (`detailsRender` strings, `"copy"` cell HTML)
+         * and for `html` in `renderMarkup`, e.g. `(html) => DOMPurify.sanitize(html)`.
+         */
+        sanitizeHtml?: (html: string) => string | TrustedHTML;
+
+        /**
+         * Write HTML through a Trusted Types policy (`true` = `"collapsetable"`, or a policy name),
+         * for pages with `require-trusted-types-for 'script'`. Only library-built HTML and `sanitizeHtml`
+         * output are wrapped; without `sanitizeHtml`, details strings are written as text. Default `false`.
+         */
+        trustedTypes?: boolean | string;
+
+        /**
+         * Persist expanded rows by row key (`data-ctbl-key`) across reloads and re-renders.
+         * Off while `storage` is null (default).
+         */
+        persist?: {
+            /**
+             * `'local'` | `'session'` | `'memory'` or any Web Storage compatible adapter.
+             */
+            storage?: "local" | "session" | "memory" | StorageAdapter | null;
+            /** storage key prefix (default `"ctbl:"`). */
+            prefix?: string;
+            /** storage id; defaults to the table id. */
+            id?: string;
+        };
+
         /**
          * Runtime mode controlling developer warnings.
          * - `'production'` (default): quiet
@@ -222,17 +659,47 @@ declare namespace CollapseTable {
         mode?: Mode;
     }
 
+    /** Web Storage compatible adapter used by `persist.storage`. */
+    interface StorageAdapter {
+        getItem(key: string): string | null;
+        setItem(key: string, value: string): void;
+        removeItem(key: string): void;
+    }
+
+    /** Serializable per-table state returned by `Controller.getState()`. */
+    interface State {
+        /** row keys of expanded rows. */
+        expanded: string[];
+        /** user column overrides by column index. */
+        columns: Record<number, "show" | "hide">;
+    }
+
+    /** Visibility of one data column, as returned by `Controller.getColumnState()`. */
+    interface ColumnState {
+        /** logical column index (the control column is 0). */
+        index: number;
+        label: string;
+        priority: number;
+        /** hidden by the last refit. */
+        hidden: boolean;
+        /** user override; null when fitted automatically. */
+        override: "show" | "hide" | null;
+    }
+
     /** Metadata for a hidden column passed to `detailsRender`. */
     interface HiddenColumnMeta {
         index: number;
+        /** leaf header cell of the column. */
         th: HTMLTableCellElement;
+        /** group header cells above the leaf in multi-row headers, outermost first. */
+        groups: HTMLTableCellElement[];
         priority: number;
         min: number;
         lock: boolean;
     }
 
     /** Event names emitted by the library. */
-    type Event = "expand" | "collapse" | "toggle" | "refit" | "destroy";
+    type Event = "beforeexpand" | "expand" | "beforecollapse" | "collapse" | "toggle" | "refit" | "layoutchange" | "columnchange" | "sort" | "filter" | "cellchange" | "destroy";
 
     /** Base payload for all events. */
     interface BaseEventPayload {
@@ -244,6 +711,14 @@ declare namespace CollapseTable {
         row: HTMLTableRowElement;
     }
 
+    /** Payload for collapse event. */
+    interface CollapseEventPayload extends RowEventPayload {
+        /** true when the row was collapsed by accordion mode. */
+        auto?: boolean;
+        /** the row whose expansion collapsed this one (accordion mode). */
+        expandedRow?: HTMLTableRowElement;
+    }
+
     /** Payload for toggle event. */
     interface ToggleEventPayload extends RowEventPayload {
         expanded: boolean;
@@ -255,14 +730,62 @@ declare namespace CollapseTable {
         initial: boolean;
         /** whether any non-control columns are hidden. */
         anyHidden: boolean;
+        /** layout applied by this pass. */
+        layout: Layout;
+    }
+
+    /** Payload for layoutchange event. */
+    interface LayoutChangeEventPayload extends BaseEventPayload {
+        layout: Layout;
+        previous: Layout;
+    }
+
+    /** Payload for columnchange event. */
+    interface ColumnChangeEventPayload extends BaseEventPayload {
+        /** changed column; null after `resetColumns()`. */
+        index: number | null;
+        override: "show" | "hide" | null;
+    }
+
+    /** Payload for sort event. */
+    interface SortEventPayload extends BaseEventPayload {
+        /** sorted column index. */
+        index: number;
+        direction: SortDirection;
+    }
+
+    /** Payload for filter event. */
+    interface FilterEventPayload extends BaseEventPayload, FilterResult {
+        /** normalized query; null for a predicate, `""` when cleared. */
+        query: string | null;
+    }
+
+    /** Payload for cellchange event (`editable`). */
+    interface CellChangeEventPayload extends BaseEventPayload {
+        row: HTMLTableRowElement;
+        /** row key: `data-ctbl-key`, or one generated for the row. */
+        key: string;
+        /** column index of the cell (its first column when it spans several). */
+        index: number;
+        /** checked state for a checkbox, selected values for a multiple select, otherwise the value. */
+        value: string | boolean | string[];
+        /** the control in the cell (the one a form submits). */
+        control: HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement;
     }
 
     /** Strongly typed mapping from event name to payload. */
     interface EventsMap {
+        beforeexpand: RowEventPayload;
         expand: RowEventPayload;
-        collapse: RowEventPayload;
+        beforecollapse: CollapseEventPayload;
+        collapse: CollapseEventPayload;
         toggle: ToggleEventPayload;
         refit: RefitEventPayload;
+        layoutchange: LayoutChangeEventPayload;
+        columnchange: ColumnChangeEventPayload;
+        sort: SortEventPayload;
+        filter: FilterEventPayload;
+        cellchange: CellChangeEventPayload;
         destroy: BaseEventPayload;
     }
 
@@ -274,7 +797,10 @@ declare namespace CollapseTable {
         /** The table this controller manages. */
         readonly table: HTMLTableElement;
 
-        /** Expand all rows (only has an effect if some columns are hidden). */
+        /** Layout applied by the last refit. */
+        readonly layout: Layout;
+
+        /** Expand all rows (only has an effect if some columns are hidden and accordion is off). */
         expandAll(): void;
 
         /** Collapse all rows. */
@@ -292,9 +818,88 @@ declare namespace CollapseTable {
         /** Re-measure column widths and recompute the fit. */
         refresh(): void;
 
+        /** Current state: row keys of expanded rows and column overrides. */
+        getState(): State;
+
+        /**
+         * Apply a state: expands listed rows and collapses the others.
+         * Rows mounted later with a listed key are expanded when they appear.
+         * Column overrides are replaced when `columns` is given.
+         */
+        setState(state: Partial<State>): void;
+
+        /** Visibility of every data column. */
+        getColumnState(): ColumnState[];
+
+        /**
+         * Force a column visible. `column` is a logical index (see `getColumnState()`)
+         * or a header cell; a group header applies to all of its columns.
+         */
+        showColumn(column: number | HTMLTableCellElement): void;
+
+        /** Force a column into the details panel (same `column` forms as `showColumn`). */
+        hideColumn(column: number | HTMLTableCellElement): void;
+
+        /** Drop all user overrides and fit every column automatically again. */
+        resetColumns(): void;
+
+        /**
+         * Sort rows by a sortable column (index or header cell). Details rows move with their rows.
+         * `direction` omitted: ascending, or the opposite of the current direction for that column.
+         */
+        sort(column: number | HTMLTableCellElement, direction?: SortDirection): void;
+
+        /**
+         * Show only rows matching `query` (empty / null clears); details rows are hidden with their rows.
+         * Row indexes for `expandRow` / `collapseRow` keep counting filtered-out rows.
+         */
+        filter(query: Filter | null, options?: FilterOptions): FilterResult;
+
+        /**
+         * Mark matches of `query` (case-insensitive) in every data cell and in details panels,
+         * expanding rows with matches in collapsed columns. Empty / null removes all marks.
+         */
+        highlight(query: string | null, options?: HighlightOptions): HighlightResult;
+
+        /** Current sort, or null before the first sort. */
+        getSort(): { index: number; direction: SortDirection } | null;
+
         /** Completely remove behavior, observers, and injected UI from this table. */
         destroy(): void;
     }
+
+    /**
+     * `<collapse-table>`: sets up the `<table>` it wraps with options from its attributes
+     * (`control-width`, `table-layout`, `mode`, `accordion`, … or JSON in `options`).
+     * Reflects `expanded` (row keys, space-separated; writable) and `layout`; the table's
+     * `ctbl:<event>` CustomEvents bubble through it.
+     */
+    interface TableElement extends HTMLElement {
+        /** Controller of the wrapped table (null until a table is set up). */
+        readonly controller: Controller | null;
+    }
+}
+
+declare global {
+    interface HTMLElementTagNameMap {
+        "collapse-table": CollapseTable.TableElement;
+    }
+
+    /** `ctbl:<event>` CustomEvents, dispatched on the table and bubbling. */
+    interface HTMLElementEventMap {
+        "ctbl:beforeexpand": CustomEvent<CollapseTable.EventsMap["beforeexpand"]>;
+        "ctbl:expand": CustomEvent<CollapseTable.EventsMap["expand"]>;
+        "ctbl:beforecollapse": CustomEvent<CollapseTable.EventsMap["beforecollapse"]>;
+        "ctbl:collapse": CustomEvent<CollapseTable.EventsMap["collapse"]>;
+        "ctbl:toggle": CustomEvent<CollapseTable.EventsMap["toggle"]>;
+        "ctbl:refit": CustomEvent<CollapseTable.EventsMap["refit"]>;
+        "ctbl:layoutchange": CustomEvent<CollapseTable.EventsMap["layoutchange"]>;
+        "ctbl:columnchange": CustomEvent<CollapseTable.EventsMap["columnchange"]>;
+        "ctbl:sort": CustomEvent<CollapseTable.EventsMap["sort"]>;
+        "ctbl:filter": CustomEvent<CollapseTable.EventsMap["filter"]>;
+        "ctbl:cellchange": CustomEvent<CollapseTable.EventsMap["cellchange"]>;
+        "ctbl:destroy": CustomEvent<CollapseTable.EventsMap["destroy"]>;
+    }
 }
 
 /* =====================================================================
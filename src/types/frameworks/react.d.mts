@@ -0,0 +1,43 @@
+/**
+ * Type definitions for @codeseasy/collapsetable/react
+ */
+
+import type { ForwardRefExoticComponent, ReactNode, RefAttributes, RefObject, TableHTMLAttributes } from "react";
+import type Core from "@codeseasy/collapsetable";
+import type { CollapseTablePanel } from "./shared.mjs";
+
+export type { CollapseTablePanel } from "./shared.mjs";
+
+export interface UseCollapseTableParams {
+    /** options for the table (read when it mounts); `hideMode` defaults to `'stylesheet'`. */
+    options?: Core.Options;
+    /** controlled expanded row keys: user toggles call `onExpandedChange`, only these rows are open. */
+    expanded?: string[];
+    /** initially expanded row keys (uncontrolled). */
+    defaultExpanded?: string[];
+    /** requested (controlled) or new (uncontrolled) expanded row keys. */
+    onExpandedChange?: (keys: string[]) => void;
+    /** render prop for open details panels. */
+    renderDetails?: (panel: CollapseTablePanel) => ReactNode;
+}
+
+export interface UseCollapseTableResult {
+    /** attach to the `<table>`. */
+    tableRef: RefObject<HTMLTableElement>;
+    /** table controller once mounted. */
+    controller: Core.Controller | null;
+    /** portals into the open panels; render them in the same component. */
+    details: ReactNode[];
+}
+
+/** Drive a table rendered by React. */
+export declare function useCollapseTable(params?: UseCollapseTableParams): UseCollapseTableResult;
+
+export interface CollapseTableProps extends UseCollapseTableParams, Omit<TableHTMLAttributes<HTMLTableElement>, "children"> {
+    /** table content: header with an empty `th.ctbl-control`, rows with `data-ctbl-key` and an empty `td.ctbl-control`. */
+    children?: ReactNode;
+}
+
+/** `<table>` driven by CollapseTable; the ref exposes the controller. */
+export declare const CollapseTable: ForwardRefExoticComponent<CollapseTableProps & RefAttributes<Core.Controller | null>>;
+export default CollapseTable;
@@ -0,0 +1,43 @@
+/**
+ * Shared types of the framework bindings (@codeseasy/collapsetable/react, /vue, /svelte).
+ */
+
+import type Core from "@codeseasy/collapsetable";
+
+/** An open details panel the framework renders into. */
+export interface CollapseTablePanel {
+    /** details panel element; the library leaves its content to the framework. */
+    container: HTMLElement;
+    /** data row the panel belongs to. */
+    row: HTMLTableRowElement;
+    /** row key (`data-ctbl-key`), null when the row has none. */
+    key: string | null;
+    /** collapsed columns shown in the panel. */
+    hiddenColumns: Core.HiddenColumnMeta[];
+    /** row cells by column index. */
+    cells: HTMLTableCellElement[];
+}
+
+export interface CollapseTableBinding {
+    controller: Core.Controller;
+    /** apply expanded row keys (controlled mode). */
+    setExpanded(keys: string[]): void;
+    /** unset the table. */
+    destroy(): void;
+}
+
+export interface BindTableParams {
+    options?: Core.Options;
+    /** hand details panels to the framework (`detailsMount`) and report them through `onPanels`. */
+    renderDetails?: boolean;
+    onPanels?: (panels: CollapseTablePanel[]) => void;
+    /** while true, user toggles are requests reported through `onExpandedChange`. */
+    isControlled?: () => boolean;
+    onExpandedChange?: (keys: string[]) => void;
+}
+
+/** Options the wrappers default to (`hideMode: 'stylesheet'`). */
+export declare const WRAPPER_DEFAULTS: Core.Options;
+
+/** Attach CollapseTable to a table rendered by a framework. */
+export declare function bindTable(table: HTMLTableElement, params: BindTableParams): CollapseTableBinding;
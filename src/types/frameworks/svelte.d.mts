@@ -0,0 +1,44 @@
+/**
+ * Type definitions for @codeseasy/collapsetable/svelte (Svelte 5)
+ */
+
+import type { Component, Snippet } from "svelte";
+import type { Action } from "svelte/action";
+import type { HTMLTableAttributes } from "svelte/elements";
+import type Core from "@codeseasy/collapsetable";
+import type { CollapseTablePanel } from "./shared.mjs";
+
+export type { CollapseTablePanel } from "./shared.mjs";
+
+/** Props of a `details` component mounted into a panel by `use:collapseTable`. */
+export type CollapseTableDetailsProps = Omit<CollapseTablePanel, "container">;
+
+export interface CollapseTableActionParams {
+    /** options for the table (read when the action starts); `hideMode` defaults to `'stylesheet'`. */
+    options?: Core.Options;
+    /** component mounted into each open details panel. */
+    details?: Component<CollapseTableDetailsProps>;
+    /** controlled expanded row keys: user toggles call `onexpandedchange`, only these rows are open. */
+    expanded?: string[];
+    /** requested (controlled) or new (uncontrolled) expanded row keys. */
+    onexpandedchange?: (keys: string[]) => void;
+}
+
+/** `<table use:collapseTable={...}>`: drive a table rendered by Svelte. */
+export declare const collapseTable: Action<HTMLTableElement, CollapseTableActionParams | undefined>;
+
+export interface CollapseTableProps extends Omit<HTMLTableAttributes, "children"> {
+    options?: Core.Options;
+    /** `bind:expanded`: controlled expanded row keys. */
+    expanded?: string[];
+    onexpandedchange?: (keys: string[]) => void;
+    /** `bind:controller`: the table controller once mounted. */
+    controller?: Core.Controller | null;
+    /** rendered into each open details panel. */
+    details?: Snippet<[CollapseTablePanel]>;
+    /** table content: header with an empty `th.ctbl-control`, rows with `data-ctbl-key` and an empty `td.ctbl-control`. */
+    children?: Snippet;
+}
+
+/** `<table>` driven by CollapseTable. */
+export declare const CollapseTable: Component<CollapseTableProps, {}, "expanded" | "controller">;
@@ -0,0 +1,40 @@
+/**
+ * Type definitions for @codeseasy/collapsetable/vue
+ */
+
+import type { DefineSetupFnComponent, Ref, ShallowRef, SlotsType, VNode } from "vue";
+import type Core from "@codeseasy/collapsetable";
+import type { CollapseTablePanel } from "./shared.mjs";
+
+export type { CollapseTablePanel } from "./shared.mjs";
+
+export interface UseCollapseTableParams {
+    /** options for the table (read when it mounts); `hideMode` defaults to `'stylesheet'`. */
+    options?: Core.Options;
+    /** controlled expanded row keys (ref or getter): user toggles call `onExpandedChange`, only these rows are open. */
+    expanded?: Ref<string[] | undefined> | (() => string[] | undefined) | string[];
+    /** requested (controlled) or new (uncontrolled) expanded row keys. */
+    onExpandedChange?: (keys: string[]) => void;
+    /** hand open details panels to Vue (render `panels` with `<Teleport>`). */
+    details?: boolean;
+}
+
+/** Drive a table rendered by Vue; call from `setup()`. */
+export declare function useCollapseTable(
+    tableRef: Ref<HTMLTableElement | null>,
+    params?: UseCollapseTableParams
+): { controller: ShallowRef<Core.Controller | null>; panels: ShallowRef<CollapseTablePanel[]> };
+
+export interface CollapseTableProps {
+    options?: Core.Options;
+    /** `v-model:expanded`: controlled expanded row keys. */
+    expanded?: string[];
+}
+
+/** `<table>` driven by CollapseTable, with a `details` slot rendered into open panels. */
+export declare const CollapseTable: DefineSetupFnComponent<
+    CollapseTableProps,
+    { "update:expanded": (keys: string[]) => true; ready: (controller: Core.Controller) => true },
+    SlotsType<{ default?: () => VNode[]; details?: (panel: CollapseTablePanel) => VNode[] }>
+>;
+export default CollapseTable;